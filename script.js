@@ -8,16 +8,48 @@
  * - Built performant sticky CTA with RAF-based scroll detection
  * - Created accessible modal/focus trap system with ESC key support
  * - Added comprehensive GA4 analytics wrapper with graceful degradation
+ * - Added offline-safe submission queue with backoff retries and idempotency keys
+ * - Added optional multi-step qualification wizard driven by data-step attributes
+ * - Added sessionStorage draft autosave/restore for the audit form
+ * - Added first/last-touch UTM, click ID and referrer attribution for leads, bookings and events
+ * - Prefilled Calendly from the audit form and tracked the combined form + booking funnel
+ * - Split booking embeds into provider adapters (Calendly, Cal.com, plain link)
+ * - Added consent banner with Google Consent Mode v2 updates; analytics and embeds wait for consent
+ * - Added section view, scroll depth, time-in-section and FAQ engagement tracking with an event schema
+ * - Added live ROI / lost-revenue calculator wired into the urgency and pricing figures
+ * - Added per-city / per-niche personalization from a JSON config (copy, title, JSON-LD)
+ * - Added sticky A/B experiments for hero copy and CTAs with anti-flicker and QA overrides
+ * - Drove the scarcity slots and founding-client countdown from #offer-config
+ * - Added stackable Dialog module (focus trap, inert background, scroll lock); mobile nav uses it
+ * - Added exit-intent / idle email capture modal with frequency cap and conversion suppression
+ * - Added FAQ deep links, single-open mode, animated height, search and generated FAQPage JSON-LD
+ * - Added declarative field validation (url, minlength, pattern) with live feedback and email typo hints
+ * - Added layered spam checks (honeypot, time-to-submit, interaction, rate limit, challenge hook)
+ * - Rebuilt Analytics as a dispatcher over consent-aware transports (GA4, Meta Pixel, Plausible, beacon)
+ * - Added sampled Web Vitals (LCP, CLS, INP, FCP, TTFB) and runtime error reporting
+ * - Made the sticky CTA section-aware (label/target per section), hidden near the form and after conversion, dismissible
+ * - Read CONFIG overrides from #armanleads-config / data-config-* and added the window.ArmanLeads API
+ * - Localized all script-generated text (en, ar, ckb) with plural/number/currency formatting and RTL
+ * - Built a versioned lead object sent to configurable destinations (Formspree, webhook, CRM) with a mailto fallback
+ * - Added a service worker (sw.js): cached shell + hero, offline booking state, update prompt, background sync
+ * - Added a ?debug=1 QA overlay (module status, event feed, delivery/booking simulators, self-checks); modules init independently
  * 
  * DEVELOPER SETUP INSTRUCTIONS:
- * Replace the following placeholders before deployment:
- * 1. Line ~50: Set your Google Analytics ID (G-XXXXXXX)
- * 2. Line ~200: Verify Formspree endpoint matches HTML form action
- * 3. Line ~420: Confirm Calendly URL in data-calendly-url attribute
+ * Site settings live in index.html, not in this file: #armanleads-config (JSON, any
+ * CONFIG key) or data-config-* attributes on <html>. Leftover placeholders are
+ * reported in the console on load. Before deployment set:
+ * 1. GA_ID, and the same ID in the gtag.js snippet in <head> (G-XXXXXXX)
+ * 2. FORMSPREE_ENDPOINT, matching the #mainForm action
+ * 3. The Calendly URL in data-calendly-url on #calendly-embed
+ * 4. ANALYTICS_TRANSPORTS: enable Meta Pixel (pixelId), Plausible or a beacon endpoint
+ * 5. LEAD_DESTINATIONS: add webhook / CRM endpoints next to Formspree if leads go elsewhere too
+ * 6. Bump CACHE_VERSION in sw.js on every deploy that changes index.html, style.css or script.js
+ * GTM tags and page scripts should use window.ArmanLeads (on/off for form:success,
+ * booking:scheduled and cta:click, openBooking(), submitLead()), not __ArmanLeadsDebug.
  * 
  * Required DOM IDs and Classes:
  * - #mainForm (contact form)
- * - #calendly-embed (Calendly container)
+ * - #calendly-embed (booking container; data-booking-provider="calendly|calcom|link")
  * - .cta-primary (scroll-to-form buttons)
  * - .cta-secondary (Book a Call buttons)
  * - .sticky-cta (fixed CTA element, hidden by default)
@@ -29,14 +61,58 @@
     'use strict';
 
     // ===== CONFIGURATION =====
+    // Defaults only: sites set their own values from index.html (see RUNTIME CONFIG)
     const CONFIG = {
-        DEBUG: false, // Set to true for console logging
-        GA_ID: 'G-XXXXXXX', // Replace with your GA4 measurement ID
-        FORMSPREE_ENDPOINT: 'https://formspree.io/f/xanbrjpn',
-        CALENDLY_URL: 'https://calendly.com/vrmvn0/meeting',
+        DEBUG: false, // Set to true for console logging (or data-config-debug on <html>; ?debug=1 adds the QA overlay)
+        GA_ID: 'G-XXXXXXX', // GA4 measurement ID; placeholders are reported on load
+        FORMSPREE_ENDPOINT: 'https://formspree.io/f/xanbrjpn', // used when a form has no action
+        CALENDLY_URL: 'https://calendly.com/vrmvn0/meeting', // used when #calendly-embed has no URL
+        CURRENCY: 'USD', // currency of the pricing and ROI figures (formatted per language)
         STICKY_CTA_THRESHOLD: 400, // pixels scrolled before showing sticky CTA
         SCROLL_THROTTLE: 100, // ms between scroll checks
-        RESIZE_DEBOUNCE: 250 // ms debounce for resize handlers
+        RESIZE_DEBOUNCE: 250, // ms debounce for resize handlers
+        STORAGE_PREFIX: 'armanleads:', // namespace for localStorage/sessionStorage keys
+        SUBMIT_TIMEOUT: 15000, // ms before a form POST is treated as a network failure
+        RETRY_BASE_DELAY: 5000, // ms before the first retry of a queued submission
+        RETRY_MAX_DELAY: 300000, // ms cap for exponential backoff
+        RETRY_MAX_ATTEMPTS: 8, // queued submissions are dropped after this many failures
+        QUEUE_MAX_AGE: 7 * 24 * 60 * 60 * 1000, // ms a queued submission is kept before expiring
+        DRAFT_SAVE_DEBOUNCE: 500, // ms debounce for form draft autosave
+        DRAFT_EXPIRY: 60 * 60 * 1000, // ms a saved form draft stays restorable
+        ATTRIBUTION_TTL: 90 * 24 * 60 * 60 * 1000, // ms before first-touch attribution is replaced
+        CONSENT_VERSION: 1, // bump to re-ask everyone; keep in sync with the consent snippet in index.html
+        CONSENT_BUFFER_LIMIT: 50, // max analytics events held while the visitor has not decided
+        EXIT_INTENT_ENABLED: true, // email capture modal on exit intent / idle
+        EXIT_INTENT_MIN_TIME: 10000, // ms on the page before any exit-intent trigger counts
+        EXIT_INTENT_IDLE: 45000, // ms without interaction before the idle trigger
+        EXIT_INTENT_COOLDOWN: 7 * 24 * 60 * 60 * 1000, // ms before the modal may show again after it was seen
+        EXIT_INTENT_SCROLL_VELOCITY: 1.5, // px/ms of upward scroll treated as leaving (touch devices)
+        SPAM_ACTION: 'flag', // 'flag' sends suspicious submissions with spam_flags, 'drop' fakes success instead
+        SPAM_MIN_SUBMIT_TIME: 3000, // ms from form render to submit; anything faster looks automated
+        SPAM_RATE_LIMIT: 3, // submissions allowed per browser within SPAM_RATE_WINDOW
+        SPAM_RATE_WINDOW: 60 * 60 * 1000, // ms window for the rate limit
+        SPAM_CHALLENGE_TIMEOUT: 5000, // ms to wait for a challenge provider token
+        MONITORING_SAMPLE_RATE: 1, // share of page views (0-1) that report Web Vitals and errors
+        MONITORING_ENDPOINT: '', // JSON beacon URL for reports; empty sends them through Analytics instead
+        MONITORING_MAX_REPORTS: 20, // reports per page view; later ones are counted but not sent
+        MONITORING_FLUSH_DELAY: 5000, // ms to collect reports into one batch before sending
+        // Analytics destinations (see AnalyticsTransports). "consent" overrides the transport's
+        // default category; null means the tool is cookieless and needs no consent.
+        ANALYTICS_TRANSPORTS: {
+            gtag: { enabled: true },
+            meta: { enabled: false, pixelId: '', customEvents: false },
+            plausible: { enabled: false },
+            beacon: { enabled: false, endpoint: '' }
+        },
+        // Where leads go (see LEAD DESTINATIONS). The primary (or first) one decides what the
+        // visitor sees; the rest are sent in the background and retried. type: formspree
+        // (endpoint defaults to the form action), webhook or crm; map picks fields per destination.
+        // Endpoints are public: never put API keys here, and they must accept browser (CORS) POSTs.
+        LEAD_DESTINATIONS: [
+            { name: 'formspree', type: 'formspree', endpoint: '', primary: true }
+        ],
+        LEAD_FALLBACK_EMAIL: 'hello@armanleads.com', // mailto: shown with the visitor's details when sending fails
+        SERVICE_WORKER_URL: 'sw.js' // offline shell + instant repeat visits; '' unregisters an installed worker
     };
 
     // ===== UTILITIES =====
@@ -68,562 +144,5825 @@
     const prefersReducedMotion = () => 
         window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 
-    // ===== ANALYTICS WRAPPER =====
-    const Analytics = {
-        isAvailable() {
-            return typeof window.gtag === 'function' || 
-                   (window.dataLayer && Array.isArray(window.dataLayer));
+    // JSON wrapper around Web Storage; private mode and quota errors degrade to no-ops
+    const storage = {
+        area(type) {
+            try {
+                return type === 'session' ? window.sessionStorage : window.localStorage;
+            } catch (error) {
+                return null;
+            }
         },
 
-        safeGtagEvent(eventName, params = {}) {
-            if (!this.isAvailable()) {
-                log('Analytics not available, skipping event:', eventName, params);
-                return false;
+        get(key, fallback = null, type = 'local') {
+            try {
+                const raw = this.area(type).getItem(CONFIG.STORAGE_PREFIX + key);
+                return raw === null ? fallback : JSON.parse(raw);
+            } catch (error) {
+                return fallback;
             }
+        },
 
+        set(key, value, type = 'local') {
             try {
-                if (typeof window.gtag === 'function') {
-                    window.gtag('event', eventName, params);
-                    log('GA4 event tracked:', eventName, params);
-                } else if (window.dataLayer) {
-                    window.dataLayer.push({
-                        event: eventName,
-                        ...params
-                    });
-                    log('DataLayer event pushed:', eventName, params);
-                }
+                this.area(type).setItem(CONFIG.STORAGE_PREFIX + key, JSON.stringify(value));
                 return true;
             } catch (error) {
-                warn('Analytics error:', error);
+                log('Storage unavailable:', key, error);
                 return false;
             }
         },
 
-        trackFormSubmit(formId) {
-            this.safeGtagEvent('form_submit', {
-                method: 'formspree',
-                form_id: formId || 'mainForm'
-            });
-        },
+        remove(key, type = 'local') {
+            try {
+                this.area(type).removeItem(CONFIG.STORAGE_PREFIX + key);
+            } catch (error) {
+                // Nothing to clean up if storage is unavailable
+            }
+        }
+    };
 
-        trackCalendlyBooking(eventData) {
-            this.safeGtagEvent('calendly_booking', {
-                event_category: 'booking',
-                value: 1,
-                ...eventData
-            });
-        },
+    // FNV-1a, good enough for idempotency keys and bucketing (not for security)
+    const hashString = (str) => {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(36);
+    };
 
-        trackCTAClick(label, location) {
-            this.safeGtagEvent('cta_click', {
-                event_category: 'engagement',
-                event_label: label,
-                location: location
-            });
+    // Parses an inline <script type="application/json" id="..."> config block
+    const readJSONConfig = (id) => {
+        const el = document.getElementById(id);
+        if (!el) return null;
+
+        try {
+            return JSON.parse(el.textContent);
+        } catch (error) {
+            warn(`Invalid JSON in #${id}:`, error);
+            return null;
         }
     };
 
-    // ===== FORM HANDLER =====
-    const FormHandler = {
-        form: null,
-        submitBtn: null,
-        messagesContainer: null,
-        isSubmitting: false,
+    // Resolves once the script has loaded; reuses a tag that is already on the page
+    // A tag we did not create may have loaded long ago (its load event will not fire
+    // again), so resolve for it right away; callers check for the global they need
+    const loadScript = (src) => new Promise((resolve, reject) => {
+        const existing = $(`script[src="${src}"]`);
+        if (existing && (existing.dataset.loaded === 'true' || existing.dataset.loading !== 'true')) {
+            resolve();
+            return;
+        }
 
-        init() {
-            this.form = $('#mainForm');
-            if (!this.form) {
-                log('Main form not found');
-                return;
+        const script = existing || document.createElement('script');
+        script.addEventListener('load', () => {
+            script.dataset.loaded = 'true';
+            delete script.dataset.loading;
+            resolve();
+        });
+        // Only our own tags get here; drop a failed one so the next call starts fresh
+        script.addEventListener('error', () => {
+            script.remove();
+            reject(new Error(`Failed to load ${src}`));
+        });
+
+        if (!existing) {
+            script.dataset.loading = 'true';
+            script.src = src;
+            script.async = true;
+            document.body.appendChild(script);
+        }
+    });
+
+    const uid = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+
+    // Replaces an element's text but keeps child elements (icons) and surrounding whitespace
+    const setText = (el, text) => {
+        const textNodes = Array.from(el.childNodes).filter(node =>
+            node.nodeType === Node.TEXT_NODE && node.data.trim() !== '');
+
+        if (textNodes.length === 0) {
+            el.insertBefore(document.createTextNode(text), el.firstChild);
+            return;
+        }
+
+        const [first, ...rest] = textNodes;
+        const start = first.data.indexOf(first.data.trim());
+        first.data = first.data.slice(0, start) + text + first.data.slice(start + first.data.trim().length);
+        rest.forEach(node => node.remove());
+    };
+
+    // ===== RUNTIME CONFIG =====
+    // CONFIG holds the defaults. A page overrides any key without editing this file:
+    // first the JSON in #armanleads-config, then data-config-* attributes on <html>
+    // (data-config-ga-id="G-..." sets GA_ID). Values must match the default's type
+    // and pass the checks below; rejected ones keep the default and are reported.
+    const RuntimeConfig = {
+        configId: 'armanleads-config',
+        attributePrefix: 'config',
+        placeholder: /X{4,}|YOUR_|REPLACE/i,
+
+        checks: {
+            GA_ID: (value) => /^G-[A-Z0-9]+$/.test(value),
+            FORMSPREE_ENDPOINT: (value) => RuntimeConfig.isUrl(value),
+            CALENDLY_URL: (value) => RuntimeConfig.isUrl(value),
+            MONITORING_ENDPOINT: (value) => value === '' || RuntimeConfig.isUrl(value),
+            MONITORING_SAMPLE_RATE: (value) => value >= 0 && value <= 1,
+            SPAM_ACTION: (value) => ['flag', 'drop'].includes(value),
+            LEAD_DESTINATIONS: (value) => Array.isArray(value) && value.length > 0 &&
+                value.every(settings => settings && typeof settings.type === 'string'),
+            LEAD_FALLBACK_EMAIL: (value) => /^[^\s@]+@[^\s@]+$/.test(value),
+            // The worker's scope is its own folder, so it must be served from this site
+            SERVICE_WORKER_URL: (value) => value === '' || !/^[a-z][a-z0-9+.-]*:|^\/\//i.test(value)
+        },
+
+        apply() {
+            const fromJSON = readJSONConfig(this.configId);
+            if (fromJSON && typeof fromJSON === 'object') {
+                Object.keys(fromJSON).forEach(key => this.set(key, fromJSON[key], `#${this.configId}`));
             }
 
-            this.submitBtn = $('button[type="submit"]', this.form);
-            this.messagesContainer = $('#form-messages') || this.createMessagesContainer();
+            const dataset = document.documentElement.dataset;
+            Object.keys(dataset).forEach(name => {
+                if (!name.startsWith(this.attributePrefix) || name === this.attributePrefix) return;
 
-            this.form.addEventListener('submit', (e) => this.handleSubmit(e));
-            log('Form handler initialized');
+                // configGaId -> GA_ID
+                const key = name.slice(this.attributePrefix.length).replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+                this.set(key, this.parseAttribute(key, dataset[name]), `data-${name.replace(/[A-Z]/g, c => '-' + c.toLowerCase())}`);
+            });
+
+            this.applyDebugParam();
+            this.reportPlaceholders();
         },
 
-        createMessagesContainer() {
-            const div = document.createElement('div');
-            div.id = 'form-messages';
-            div.setAttribute('aria-live', 'polite');
-            div.setAttribute('aria-atomic', 'true');
-            div.className = 'form-messages';
-            this.form.appendChild(div);
-            return div;
+        // ?debug=1 turns on DEBUG and the QA overlay for this tab, ?debug=0 turns both off
+        applyDebugParam() {
+            const param = new URLSearchParams(window.location.search).get('debug');
+            if (param !== null) storage.set('debug', param === '1', 'session');
+            if (storage.get('debug', false, 'session') === true) CONFIG.DEBUG = true;
         },
 
-        async handleSubmit(e) {
-            e.preventDefault();
+        // Attribute values are strings; read them as the default's type
+        parseAttribute(key, raw) {
+            const type = typeof CONFIG[key];
+            if (type === 'number') return raw.trim() === '' ? NaN : Number(raw);
+            if (type === 'boolean') return raw === '' || raw === 'true' ? true : raw === 'false' ? false : raw;
+            if (type === 'object') {
+                try {
+                    return JSON.parse(raw);
+                } catch (error) {
+                    return raw;
+                }
+            }
+            return raw;
+        },
 
-            if (this.isSubmitting) return;
+        set(key, value, source) {
+            if (!Object.prototype.hasOwnProperty.call(CONFIG, key)) {
+                warn(`Unknown config key "${key}" in ${source}`);
+                return;
+            }
 
-            // Basic validation
-            if (!this.validateForm()) {
-                this.showMessage('Please fill in all required fields correctly.', 'error');
+            const current = CONFIG[key];
+            const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+            const typeMatches = isObject(current)
+                ? isObject(value)
+                : typeof value === typeof current && !(typeof value === 'number' && !Number.isFinite(value));
+
+            if (!typeMatches || (this.checks[key] && !this.checks[key](value))) {
+                warn(`Ignoring invalid ${key} from ${source}:`, value);
                 return;
             }
 
-            this.isSubmitting = true;
-            this.setLoadingState(true);
+            CONFIG[key] = isObject(current) ? this.merge(current, value) : value;
+        },
 
-            const formData = new FormData(this.form);
-            const endpoint = this.form.action || CONFIG.FORMSPREE_ENDPOINT;
+        // Nested objects (ANALYTICS_TRANSPORTS) merge per key, so one setting can change alone
+        merge(base, override) {
+            const result = { ...base };
+            Object.keys(override).forEach(key => {
+                const value = override[key];
+                result[key] = value && typeof value === 'object' && !Array.isArray(value) && base[key] && typeof base[key] === 'object'
+                    ? this.merge(base[key], value)
+                    : value;
+            });
+            return result;
+        },
 
+        isUrl(value) {
             try {
-                const response = await fetch(endpoint, {
-                    method: 'POST',
-                    body: formData,
-                    headers: {
-                        'Accept': 'application/json'
-                    }
-                });
+                return /^https?:$/.test(new URL(value).protocol);
+            } catch (error) {
+                return false;
+            }
+        },
 
-                if (response.ok) {
-                    this.handleSuccess();
-                } else {
-                    throw new Error(`Server responded with ${response.status}`);
+        // Template leftovers still work locally but send data nowhere (or to us), so say so
+        reportPlaceholders() {
+            ['GA_ID', 'FORMSPREE_ENDPOINT', 'CALENDLY_URL'].forEach(key => {
+                if (this.placeholder.test(CONFIG[key])) {
+                    warn(`${key} is still a placeholder (${CONFIG[key]}); set it in #${this.configId}`);
                 }
-            } catch (error) {
-                warn('Form submission failed:', error);
-                this.handleError();
-            } finally {
-                this.isSubmitting = false;
-                this.setLoadingState(false);
+            });
+
+            const gtagScript = $('script[src*="googletagmanager.com/gtag/js"]');
+            const gtagId = gtagScript && new URL(gtagScript.src, location.href).searchParams.get('id');
+            if (gtagId && this.placeholder.test(gtagId)) {
+                warn(`The gtag.js snippet in <head> still loads ${gtagId}; replace it with your GA4 measurement ID`);
+            } else if (gtagId && !this.placeholder.test(CONFIG.GA_ID) && gtagId !== CONFIG.GA_ID) {
+                warn(`GA_ID (${CONFIG.GA_ID}) does not match the gtag.js snippet in <head> (${gtagId})`);
+            }
+
+            const form = $('#mainForm');
+            const action = form && form.getAttribute('action');
+            if (action && this.placeholder.test(action)) {
+                warn(`#mainForm action is still a placeholder (${action}); no-JS submissions will fail`);
+            } else if (action && action !== CONFIG.FORMSPREE_ENDPOINT) {
+                warn(`#mainForm action (${action}) differs from FORMSPREE_ENDPOINT; the form action is used`);
             }
+        }
+    };
+
+    RuntimeConfig.apply();
+
+    // ===== PUBLIC EVENTS =====
+    // The emitter behind window.ArmanLeads.on/off, so GTM tags and other page
+    // scripts can react without reaching into modules. Events are emitted from the
+    // matching Analytics.track* calls (consent does not gate them). A throwing
+    // listener is reported and never stops the others.
+    const PublicEvents = {
+        names: ['form:success', 'booking:scheduled', 'cta:click'],
+        listeners: new Map(),
+
+        on(name, fn) {
+            if (typeof fn !== 'function') throw new TypeError(`ArmanLeads.on("${name}") needs a function`);
+            if (!this.names.includes(name)) warn(`Unknown event "${name}"; available: ${this.names.join(', ')}`);
+
+            if (!this.listeners.has(name)) this.listeners.set(name, new Set());
+            this.listeners.get(name).add(fn);
+            return () => this.off(name, fn);
         },
 
-        validateForm() {
-            const requiredFields = $$('[required], [aria-required="true"]', this.form);
-            let isValid = true;
+        off(name, fn) {
+            const set = this.listeners.get(name);
+            if (!set) return;
+
+            if (fn) {
+                set.delete(fn);
+            } else {
+                set.clear();
+            }
+        },
 
-            requiredFields.forEach(field => {
-                const value = field.value.trim();
-                const errorSpan = $(`#${field.id}-error`) || this.createErrorSpan(field);
+        emit(name, detail) {
+            const set = this.listeners.get(name);
+            if (!set) return;
 
-                if (!value) {
-                    field.setAttribute('aria-invalid', 'true');
-                    errorSpan.textContent = 'This field is required';
-                    errorSpan.style.display = 'block';
-                    isValid = false;
-                } else if (field.type === 'email' && !this.isValidEmail(value)) {
-                    field.setAttribute('aria-invalid', 'true');
-                    errorSpan.textContent = 'Please enter a valid email';
-                    errorSpan.style.display = 'block';
-                    isValid = false;
-                } else {
-                    field.setAttribute('aria-invalid', 'false');
-                    errorSpan.textContent = '';
-                    errorSpan.style.display = 'none';
+            log('Public event:', name, detail);
+            Array.from(set).forEach(fn => {
+                try {
+                    fn({ ...detail });
+                } catch (error) {
+                    warn(`ArmanLeads "${name}" listener failed:`, error);
+                    Monitoring.captureError(error, { module: 'api' });
                 }
             });
+        }
+    };
 
-            return isValid;
+    // ===== I18N CATALOGS =====
+    // Every string the script puts on the page, per language. A value may be a
+    // plural map (zero/one/two/few/many/other, chosen by the "count" param with
+    // Intl.PluralRules); {name} placeholders are filled from params. Keys missing
+    // from a language fall back to English.
+    const I18N_CATALOGS = {
+        en: {
+            'lang.label': 'Language',
+            'dialog.close': 'Close',
+            'consent.title': 'Your privacy choices',
+            'consent.text': 'We use cookies to understand how this page is used (analytics) and, with your permission, for ad measurement and the booking calendar (marketing).',
+            'consent.privacy': 'Privacy Policy',
+            'consent.categories': 'Cookie categories',
+            'consent.necessary': 'Necessary (always on)',
+            'consent.analytics': 'Analytics',
+            'consent.marketing': 'Marketing',
+            'consent.reject': 'Reject all',
+            'consent.customize': 'Customize',
+            'consent.save': 'Save choices',
+            'consent.accept': 'Accept all',
+            'offer.slotsLeft': { one: '{left} of {count} spot left', other: '{left} of {count} spots left' },
+            'offer.soldOut': 'All {count} spots are taken',
+            'offer.deadline': 'Ends {date}',
+            'offer.countdown': '{hours}h {minutes}m {seconds}s',
+            'offer.countdownDays': '{days}d {time}',
+            'validation.required': 'This field is required',
+            'validation.email': 'Please enter a valid email',
+            'validation.emailSuggestion': 'Did you mean {suggestion}?',
+            'validation.url': 'Please enter a valid website address, e.g. yourpractice.com',
+            'validation.minlength': 'Please enter at least {minlength} characters',
+            'validation.pattern': 'Please match the requested format',
+            'form.draftRestored': 'We restored the details you entered earlier.',
+            'form.startOver': 'Start over',
+            'form.dismissNotice': 'Dismiss notice',
+            'form.invalid': 'Please fill in all required fields correctly.',
+            'form.success': 'Thank you! Your audit request has been received. Check your email within 12 hours.',
+            'form.queued': 'Your details are saved. The connection dropped, so we will send your audit request automatically as soon as it is back.',
+            'form.error': 'Something went wrong. Please try again or email us directly at {email}',
+            'form.sending': 'Sending...',
+            'form.send': 'Send',
+            'form.bookingStep': 'Book your review call now',
+            'form.mailto': 'Email us your details instead',
+            'form.mailtoSubject': 'Website audit request',
+            'wizard.back': 'Back',
+            'wizard.next': 'Next',
+            'wizard.step': 'Step {step}',
+            'wizard.progress': 'Step {step} of {count}: {title}',
+            'booking.openCalendly': 'Open Calendly (New Tab)',
+            'booking.openCalcom': 'Open Cal.com (New Tab)',
+            'booking.openLink': 'Pick a Time (Opens in New Tab)',
+            'booking.consent': 'The booking calendar is provided by {provider}, which may set cookies. Load it to pick a time here, or open it in a new tab.',
+            'booking.load': 'Load Calendar',
+            'booking.newTab': 'Open in New Tab',
+            'booking.confirmed': 'Thank you for booking! You will receive a confirmation email shortly.',
+            'booking.offline': 'You are offline, so the booking calendar cannot load. It will appear here as soon as you are back online, or leave your details in the audit form now and we will send them when the connection returns.',
+            'booking.offlineForm': 'Request the Free Audit',
+            'update.text': 'A new version of this page is available.',
+            'update.reload': 'Refresh',
+            'update.dismiss': 'Not now',
+            'roi.profit': 'Estimated profit after all costs: {profit} per month.',
+            'roi.loss': 'At this budget the projection is {profit} per month. Try a higher patient value or ad budget.',
+            'exit.title': 'Before you go: want the free audit by email?',
+            'exit.intro': 'Leave your email and I\'ll send your free marketing audit: where patients are finding your competitors instead of you.',
+            'exit.email': 'Email',
+            'exit.submit': 'Send My Free Audit',
+            'exit.error': 'Something went wrong. Please try again or use the audit form on the page.',
+            'exit.queued': 'Your email is saved. We will send your request automatically as soon as the connection is back.',
+            'exit.success': 'Thank you! Your audit is on its way. Check your email within 12 hours.',
+            'faq.searchLabel': 'Search the questions',
+            'faq.searchPlaceholder': 'e.g. contract, results, budget',
+            'faq.noResults': 'No questions match "{query}". Ask it in the audit form and I\'ll answer personally.',
+            'faq.results': { one: '{matches} of {count} question matches', other: '{matches} of {count} questions match' },
+            'sticky.region': 'Quick action',
+            'sticky.default': 'Get My Free Audit',
+            'sticky.pricing': 'See Pricing',
+            'sticky.offer': 'Claim 50% Off',
+            'sticky.dismiss': 'Hide this button for the rest of the visit'
+        },
+        ar: {
+            'lang.label': 'اللغة',
+            'dialog.close': 'إغلاق',
+            'consent.title': 'خيارات الخصوصية',
+            'consent.text': 'نستخدم ملفات تعريف الارتباط لفهم كيفية استخدام هذه الصفحة (التحليلات)، وبإذنك، لقياس الإعلانات وتقويم الحجز (التسويق).',
+            'consent.privacy': 'سياسة الخصوصية',
+            'consent.categories': 'فئات ملفات تعريف الارتباط',
+            'consent.necessary': 'ضرورية (مفعّلة دائمًا)',
+            'consent.analytics': 'التحليلات',
+            'consent.marketing': 'التسويق',
+            'consent.reject': 'رفض الكل',
+            'consent.customize': 'تخصيص',
+            'consent.save': 'حفظ الخيارات',
+            'consent.accept': 'قبول الكل',
+            'offer.slotsLeft': {
+                one: 'يتبقى {left} من أصل مقعد واحد',
+                two: 'يتبقى {left} من أصل مقعدين',
+                few: 'يتبقى {left} من أصل {count} مقاعد',
+                many: 'يتبقى {left} من أصل {count} مقعدًا',
+                other: 'يتبقى {left} من أصل {count} مقعد'
+            },
+            'offer.soldOut': 'تم حجز جميع المقاعد ({count})',
+            'offer.deadline': 'ينتهي العرض {date}',
+            'offer.countdown': '{hours} س {minutes} د {seconds} ث',
+            'offer.countdownDays': '{days} ي {time}',
+            'validation.required': 'هذا الحقل مطلوب',
+            'validation.email': 'يرجى إدخال بريد إلكتروني صالح',
+            'validation.emailSuggestion': 'هل تقصد {suggestion}؟',
+            'validation.url': 'يرجى إدخال عنوان موقع صالح، مثل yourpractice.com',
+            'validation.minlength': 'يرجى إدخال {minlength} أحرف على الأقل',
+            'validation.pattern': 'يرجى مطابقة التنسيق المطلوب',
+            'form.draftRestored': 'استعدنا البيانات التي أدخلتها سابقًا.',
+            'form.startOver': 'البدء من جديد',
+            'form.dismissNotice': 'إخفاء التنبيه',
+            'form.invalid': 'يرجى تعبئة جميع الحقول المطلوبة بشكل صحيح.',
+            'form.success': 'شكرًا لك! تم استلام طلب التدقيق. تحقق من بريدك الإلكتروني خلال 12 ساعة.',
+            'form.queued': 'تم حفظ بياناتك. انقطع الاتصال، وسنرسل طلب التدقيق تلقائيًا فور عودته.',
+            'form.error': 'حدث خطأ ما. يرجى المحاولة مرة أخرى أو مراسلتنا مباشرة على {email}',
+            'form.sending': 'جارٍ الإرسال...',
+            'form.send': 'إرسال',
+            'form.bookingStep': 'احجز مكالمة المراجعة الآن',
+            'form.mailto': 'أرسل لنا بياناتك عبر البريد الإلكتروني بدلًا من ذلك',
+            'form.mailtoSubject': 'طلب تدقيق الموقع',
+            'wizard.back': 'رجوع',
+            'wizard.next': 'التالي',
+            'wizard.step': 'الخطوة {step}',
+            'wizard.progress': 'الخطوة {step} من {count}: {title}',
+            'booking.openCalendly': 'افتح Calendly (في علامة تبويب جديدة)',
+            'booking.openCalcom': 'افتح Cal.com (في علامة تبويب جديدة)',
+            'booking.openLink': 'اختر موعدًا (يفتح في علامة تبويب جديدة)',
+            'booking.consent': 'يقدّم {provider} تقويم الحجز، وقد يستخدم ملفات تعريف الارتباط. حمّله لاختيار موعد هنا، أو افتحه في علامة تبويب جديدة.',
+            'booking.load': 'تحميل التقويم',
+            'booking.newTab': 'فتح في علامة تبويب جديدة',
+            'booking.confirmed': 'شكرًا لحجزك! ستصلك رسالة تأكيد عبر البريد الإلكتروني قريبًا.',
+            'booking.offline': 'أنت غير متصل بالإنترنت، لذلك لا يمكن تحميل تقويم الحجز. سيظهر هنا فور عودة الاتصال، أو اترك بياناتك في نموذج التدقيق الآن وسنرسلها عند عودة الاتصال.',
+            'booking.offlineForm': 'اطلب التدقيق المجاني',
+            'update.text': 'يتوفر إصدار جديد من هذه الصفحة.',
+            'update.reload': 'تحديث',
+            'update.dismiss': 'ليس الآن',
+            'roi.profit': 'الربح المتوقع بعد جميع التكاليف: {profit} شهريًا.',
+            'roi.loss': 'بهذه الميزانية يبلغ التقدير {profit} شهريًا. جرّب قيمة أعلى للمريض أو ميزانية إعلانية أكبر.',
+            'exit.title': 'قبل أن تغادر: هل تريد التدقيق المجاني عبر البريد الإلكتروني؟',
+            'exit.intro': 'اترك بريدك الإلكتروني وسأرسل لك تدقيقًا تسويقيًا مجانيًا: أين يجد المرضى منافسيك بدلًا منك.',
+            'exit.email': 'البريد الإلكتروني',
+            'exit.submit': 'أرسل لي التدقيق المجاني',
+            'exit.error': 'حدث خطأ ما. يرجى المحاولة مرة أخرى أو استخدام نموذج التدقيق في الصفحة.',
+            'exit.queued': 'تم حفظ بريدك الإلكتروني. سنرسل طلبك تلقائيًا فور عودة الاتصال.',
+            'exit.success': 'شكرًا لك! التدقيق في طريقه إليك. تحقق من بريدك الإلكتروني خلال 12 ساعة.',
+            'faq.searchLabel': 'ابحث في الأسئلة',
+            'faq.searchPlaceholder': 'مثال: العقد، النتائج، الميزانية',
+            'faq.noResults': 'لا توجد أسئلة تطابق "{query}". اطرح سؤالك في نموذج التدقيق وسأجيبك شخصيًا.',
+            'faq.results': 'الأسئلة المطابقة: {matches} من {count}',
+            'sticky.region': 'إجراء سريع',
+            'sticky.default': 'احصل على التدقيق المجاني',
+            'sticky.pricing': 'عرض الأسعار',
+            'sticky.offer': 'احصل على خصم 50%',
+            'sticky.dismiss': 'إخفاء هذا الزر لبقية الزيارة'
         },
+        // Central Kurdish (Sorani). Nouns after numbers stay singular, so no plural maps.
+        ckb: {
+            'lang.label': 'زمان',
+            'dialog.close': 'داخستن',
+            'consent.title': 'هەڵبژاردنەکانی تایبەتمەندی',
+            'consent.text': 'کووکی بەکاردەهێنین بۆ تێگەیشتن لەوەی ئەم پەڕەیە چۆن بەکاردێت (شیکاری)، و بە ڕەزامەندیی تۆ، بۆ پێوانەی ڕیکلام و ساڵنامەی حیجزکردن (بازاڕکردن).',
+            'consent.privacy': 'سیاسەتی تایبەتمەندی',
+            'consent.categories': 'جۆرەکانی کووکی',
+            'consent.necessary': 'پێویست (هەمیشە چالاکە)',
+            'consent.analytics': 'شیکاری',
+            'consent.marketing': 'بازاڕکردن',
+            'consent.reject': 'ڕەتکردنەوەی هەموو',
+            'consent.customize': 'ڕێکخستن',
+            'consent.save': 'پاشەکەوتکردنی هەڵبژاردنەکان',
+            'consent.accept': 'قبووڵکردنی هەموو',
+            'offer.slotsLeft': '{left} شوێن ماوە لە کۆی {count}',
+            'offer.soldOut': 'هەموو {count} شوێنەکە گیراون',
+            'offer.deadline': 'کۆتایی: {date}',
+            'offer.countdown': '{hours} ک {minutes} خ {seconds} چ',
+            'offer.countdownDays': '{days} ڕ {time}',
+            'validation.required': 'ئەم خانەیە پێویستە',
+            'validation.email': 'تکایە ئیمەیڵێکی دروست بنووسە',
+            'validation.emailSuggestion': 'مەبەستت {suggestion} بوو؟',
+            'validation.url': 'تکایە ناونیشانی ماڵپەڕێکی دروست بنووسە، بۆ نموونە yourpractice.com',
+            'validation.minlength': 'تکایە لانیکەم {minlength} پیت بنووسە',
+            'validation.pattern': 'تکایە شێوازی داواکراو بەکاربهێنە',
+            'form.draftRestored': 'ئەو زانیارییانەی پێشتر نووسیبووت گەڕاندمانەوە.',
+            'form.startOver': 'دەستپێکردنەوە',
+            'form.dismissNotice': 'داخستنی ئاگاداری',
+            'form.invalid': 'تکایە هەموو خانە پێویستەکان بە دروستی پڕبکەرەوە.',
+            'form.success': 'سوپاس! داواکاریی پشکنینەکەت گەیشت. لە ماوەی 12 کاتژمێردا سەیری ئیمەیڵەکەت بکە.',
+            'form.queued': 'زانیارییەکانت پاشەکەوت کران. پەیوەندی پچڕا، هەر کە گەڕایەوە داواکاریی پشکنینەکەت بە شێوەی خۆکار دەنێرین.',
+            'form.error': 'هەڵەیەک ڕوویدا. تکایە دووبارە هەوڵ بدەرەوە یان ڕاستەوخۆ ئیمەیڵمان بۆ بنێرە: {email}',
+            'form.sending': 'دەنێردرێت...',
+            'form.send': 'ناردن',
+            'form.bookingStep': 'ئێستا پەیوەندیی پێداچوونەوە حیجز بکە',
+            'form.mailto': 'لە جیاتی ئەوە زانیارییەکانت بە ئیمەیڵ بنێرە',
+            'form.mailtoSubject': 'داواکاریی پشکنینی ماڵپەڕ',
+            'wizard.back': 'گەڕانەوە',
+            'wizard.next': 'دواتر',
+            'wizard.step': 'هەنگاوی {step}',
+            'wizard.progress': 'هەنگاوی {step} لە {count}: {title}',
+            'booking.openCalendly': 'کردنەوەی Calendly (لە تابێکی نوێ)',
+            'booking.openCalcom': 'کردنەوەی Cal.com (لە تابێکی نوێ)',
+            'booking.openLink': 'کاتێک هەڵبژێرە (لە تابێکی نوێ دەکرێتەوە)',
+            'booking.consent': 'ساڵنامەی حیجزکردن لەلایەن {provider}ەوە دابین دەکرێت، کە لەوانەیە کووکی دابنێت. باری بکە بۆ ئەوەی لێرە کاتێک هەڵبژێریت، یان لە تابێکی نوێدا بیکەرەوە.',
+            'booking.load': 'بارکردنی ساڵنامە',
+            'booking.newTab': 'کردنەوە لە تابێکی نوێ',
+            'booking.confirmed': 'سوپاس بۆ حیجزکردن! بەم زووانە ئیمەیڵی پشتڕاستکردنەوەت پێدەگات.',
+            'booking.offline': 'تۆ ئۆفلاینیت، بۆیە ساڵنامەی حیجزکردن بار نابێت. هەر کە گەڕایتەوە سەر هێڵ لێرە دەردەکەوێت، یان ئێستا زانیارییەکانت لە فۆرمی پشکنیندا بنووسە و کاتێک پەیوەندی گەڕایەوە دەیاننێرین.',
+            'booking.offlineForm': 'داواکردنی پشکنینی بەخۆڕایی',
+            'update.text': 'وەشانێکی نوێی ئەم پەڕەیە بەردەستە.',
+            'update.reload': 'نوێکردنەوە',
+            'update.dismiss': 'ئێستا نا',
+            'roi.profit': 'قازانجی خەمڵێنراو دوای هەموو تێچووەکان: {profit} لە مانگێکدا.',
+            'roi.loss': 'بەم بودجەیە خەمڵاندنەکە {profit} یە لە مانگێکدا. بەهای نەخۆشێکی بەرزتر یان بودجەی ڕیکلامی زیاتر تاقی بکەرەوە.',
+            'exit.title': 'پێش ئەوەی بڕۆیت: پشکنینە بێبەرامبەرەکە بە ئیمەیڵ دەتەوێت؟',
+            'exit.intro': 'ئیمەیڵەکەت بنووسە و پشکنینی بازاڕکردنی بێبەرامبەرت بۆ دەنێرم: نەخۆشەکان لە کوێ ڕکابەرەکانت دەدۆزنەوە لە جیاتی تۆ.',
+            'exit.email': 'ئیمەیڵ',
+            'exit.submit': 'پشکنینە بێبەرامبەرەکەم بۆ بنێرە',
+            'exit.error': 'هەڵەیەک ڕوویدا. تکایە دووبارە هەوڵ بدەرەوە یان فۆرمی پشکنین لەم پەڕەیەدا بەکاربهێنە.',
+            'exit.queued': 'ئیمەیڵەکەت پاشەکەوت کرا. هەر کە پەیوەندی گەڕایەوە داواکارییەکەت بە شێوەی خۆکار دەنێرین.',
+            'exit.success': 'سوپاس! پشکنینەکەت لە ڕێگادایە. لە ماوەی 12 کاتژمێردا سەیری ئیمەیڵەکەت بکە.',
+            'faq.searchLabel': 'گەڕان لە پرسیارەکاندا',
+            'faq.searchPlaceholder': 'بۆ نموونە: گرێبەست، ئەنجام، بودجە',
+            'faq.noResults': 'هیچ پرسیارێک لەگەڵ "{query}" ناگونجێت. لە فۆرمی پشکنیندا بیپرسە و خۆم وەڵامت دەدەمەوە.',
+            'faq.results': '{matches} لە {count} پرسیار دەگونجێن',
+            'sticky.region': 'کرداری خێرا',
+            'sticky.default': 'پشکنینی بێبەرامبەرم وەربگرە',
+            'sticky.pricing': 'بینینی نرخەکان',
+            'sticky.offer': '50% داشکاندن وەربگرە',
+            'sticky.dismiss': 'شاردنەوەی ئەم دوگمەیە بۆ ماوەی ئەم سەردانە'
+        }
+    };
 
-        isValidEmail(email) {
-            return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+    // ===== I18N =====
+    // Picks the language from ?lang=, then the visitor's earlier choice, then
+    // <html lang>, and sets lang/dir on <html> before any module renders text.
+    // Markup opts in with data-i18n="key" (text, icons kept) and
+    // data-i18n-attr="attr:key; attr:key"; [data-price] amounts (in CONFIG.CURRENCY)
+    // are formatted for the language. English markup is left as written.
+    const I18n = {
+        languages: {
+            en: { name: 'English', locale: 'en-US', dir: 'ltr' },
+            ar: { name: 'العربية', locale: 'ar', dir: 'rtl' },
+            ckb: { name: 'کوردی', locale: 'ckb-IQ', dir: 'rtl' }
         },
+        fallback: 'en',
+        lang: 'en',
+        storageKey: 'lang',
+        pluralRules: null,
 
-        createErrorSpan(field) {
-            const span = document.createElement('span');
-            span.id = `${field.id}-error`;
-            span.className = 'error-message';
-            span.setAttribute('role', 'alert');
-            field.parentNode.appendChild(span);
-            return span;
+        init() {
+            this.lang = this.detect();
+            this.pluralRules = null;
+
+            const root = document.documentElement;
+            root.lang = this.lang;
+            root.dir = this.languages[this.lang].dir;
+
+            if (this.lang !== this.fallback) this.translatePage();
+            this.formatPrices();
+            this.renderSwitchers();
+
+            Analytics.addContext(() => ({ page_language: this.lang }));
+            FormHandler.addFields('language', () => ({ language: this.lang }));
+            log('Language:', this.lang, root.dir);
         },
 
-        handleSuccess() {
-            this.showMessage('Thank you! Your audit request has been received. Check your email within 12 hours.', 'success');
-            this.form.style.display = 'none';
-            Analytics.trackFormSubmit(this.form.id);
-            log('Form submitted successfully');
+        detect() {
+            const fromQuery = this.match(new URLSearchParams(location.search).get('lang'));
+            if (fromQuery) {
+                storage.set(this.storageKey, fromQuery);
+                return fromQuery;
+            }
+
+            return this.match(storage.get(this.storageKey, null))
+                || this.match(document.documentElement.lang)
+                || this.fallback;
         },
 
-        handleError() {
-            this.showMessage('Something went wrong. Please try again or email us directly at hello@armanleads.com', 'error');
+        // "ar-IQ" -> "ar"; unsupported codes -> null
+        match(code) {
+            if (!code) return null;
+            const primary = String(code).toLowerCase().split(/[-_]/)[0];
+            return Object.prototype.hasOwnProperty.call(this.languages, primary) ? primary : null;
         },
 
-        showMessage(text, type) {
-            if (!this.messagesContainer) return;
+        locale() {
+            return this.languages[this.lang].locale;
+        },
 
-            this.messagesContainer.textContent = text;
-            this.messagesContainer.className = `form-messages form-messages--${type}`;
-            this.messagesContainer.style.color = type === 'success' ? 'var(--color-success)' : 'var(--color-error)';
-            this.messagesContainer.style.fontWeight = '600';
-            this.messagesContainer.style.padding = 'var(--space-4)';
-            this.messagesContainer.style.borderRadius = 'var(--radius-md)';
-            this.messagesContainer.style.background = type === 'success' ? 'var(--color-success-bg)' : 'var(--color-error-bg)';
+        isRTL() {
+            return this.languages[this.lang].dir === 'rtl';
+        },
 
-            // Set focus for accessibility
-            this.messagesContainer.setAttribute('tabindex', '-1');
-            this.messagesContainer.focus();
+        has(key) {
+            return this.lookup(this.lang, key) !== undefined || this.lookup(this.fallback, key) !== undefined;
         },
 
-        setLoadingState(loading) {
-            if (!this.submitBtn) return;
+        lookup(lang, key) {
+            const catalog = I18N_CATALOGS[lang];
+            return catalog && Object.prototype.hasOwnProperty.call(catalog, key) ? catalog[key] : undefined;
+        },
 
-            if (loading) {
-                this.submitBtn.disabled = true;
-                this.submitBtn.setAttribute('aria-busy', 'true');
-                this.submitBtn.dataset.originalText = this.submitBtn.textContent;
-                this.submitBtn.textContent = 'Sending...';
-                this.form.setAttribute('aria-busy', 'true');
-            } else {
-                this.submitBtn.disabled = false;
-                this.submitBtn.setAttribute('aria-busy', 'false');
-                this.submitBtn.textContent = this.submitBtn.dataset.originalText || 'Send';
-                this.form.setAttribute('aria-busy', 'false');
+        // Number params are formatted for the language; pass strings to keep them as-is
+        t(key, params = {}) {
+            let message = this.lookup(this.lang, key);
+            if (message === undefined) message = this.lookup(this.fallback, key);
+            if (message === undefined) {
+                warn(`Missing translation "${key}"`);
+                return key;
             }
-        }
-    };
 
-    // ===== CALENDLY LAZY LOADER =====
-    const CalendlyLoader = {
-        isLoaded: false,
-        isLoading: false,
-        embedContainer: null,
-        bookCallButtons: [],
+            if (typeof message === 'object') {
+                message = message[this.plural(Number(params.count))] || message.other;
+            }
 
-        init() {
-            this.embedContainer = $('#calendly-embed');
-            this.bookCallButtons = $$('.cta-secondary, a[href="#call"]');
+            return message.replace(/\{(\w+)\}/g, (match, name) => {
+                const value = params[name];
+                if (value === undefined) return match;
+                return typeof value === 'number' ? this.formatNumber(value) : String(value);
+            });
+        },
 
-            if (!this.embedContainer && this.bookCallButtons.length === 0) {
-                log('No Calendly elements found');
-                return;
-            }
+        plural(count) {
+            if (!this.pluralRules) this.pluralRules = new Intl.PluralRules(this.locale());
+            return this.pluralRules.select(count);
+        },
 
-            // Set up intersection observer for embed container
-            if (this.embedContainer && 'IntersectionObserver' in window) {
-                const observer = new IntersectionObserver((entries) => {
-                    if (entries[0].isIntersecting) {
-                        this.load();
-                        observer.disconnect();
-                    }
-                }, { rootMargin: '200px' });
+        formatNumber(value, options = {}) {
+            return new Intl.NumberFormat(this.locale(), options).format(value);
+        },
 
-                observer.observe(this.embedContainer);
-            }
+        formatCurrency(value) {
+            return this.formatNumber(value, {
+                style: 'currency',
+                currency: CONFIG.CURRENCY,
+                maximumFractionDigits: 0
+            });
+        },
 
-            // Set up click handlers for book call buttons
-            this.bookCallButtons.forEach(btn => {
-                btn.addEventListener('click', (e) => {
-                    if (!btn.href || btn.href.includes('#call')) {
-                        e.preventDefault();
-                        this.load();
-                        this.scrollToEmbed();
-                    }
-                    Analytics.trackCTAClick('Book a Call', 'cta-secondary');
+        formatDate(date, options) {
+            return date.toLocaleString(this.locale(), options);
+        },
+
+        translatePage() {
+            $$('[data-i18n]').forEach(el => setText(el, this.t(el.dataset.i18n)));
+
+            $$('[data-i18n-attr]').forEach(el => {
+                el.dataset.i18nAttr.split(';').forEach(pair => {
+                    const [attr, key] = pair.split(':').map(part => part.trim());
+                    if (attr && key) el.setAttribute(attr, this.t(key));
+                });
+            });
+        },
+
+        formatPrices() {
+            $$('[data-price]').forEach(el => {
+                const amount = Number(el.dataset.price);
+                if (Number.isFinite(amount)) el.textContent = this.formatCurrency(amount);
+            });
+        },
+
+        renderSwitchers() {
+            $$('[data-js="lang-switcher"]').forEach(container => {
+                const id = `lang-switcher-${uid()}`;
+                const label = document.createElement('label');
+                label.className = 'sr-only';
+                label.htmlFor = id;
+                label.textContent = this.t('lang.label');
+
+                const select = document.createElement('select');
+                select.id = id;
+                select.className = 'lang-switcher__select';
+                Object.keys(this.languages).forEach(code => {
+                    const option = document.createElement('option');
+                    option.value = code;
+                    option.lang = code;
+                    option.textContent = this.languages[code].name;
+                    option.selected = code === this.lang;
+                    select.appendChild(option);
                 });
+                select.addEventListener('change', () => this.setLanguage(select.value));
+
+                container.appendChild(label);
+                container.appendChild(select);
             });
+        },
+
+        // Text that modules already rendered is not re-rendered live, so switching
+        // reloads with ?lang=; the form draft autosave keeps anything typed so far
+        setLanguage(lang) {
+            if (!this.match(lang) || lang === this.lang) return;
+
+            storage.set(this.storageKey, lang);
+            const url = new URL(location.href);
+            url.searchParams.set('lang', lang);
+            location.assign(url.toString());
+        }
+    };
 
-            log('Calendly loader initialized');
+    // ===== ANALYTICS EVENT SCHEMA =====
+    // Every event sent through Analytics, with the params it must carry. Context
+    // params merged into all events (see Analytics.addContext) are not repeated.
+    // With CONFIG.DEBUG on, undocumented events and missing params are reported.
+    const EVENT_SCHEMA = {
+        cta_click: {
+            description: 'A call-to-action button or link was clicked',
+            params: ['event_label', 'location']
+        },
+        form_submit: {
+            description: 'An audit request reached Formspree (directly or from the retry queue)',
+            params: ['method', 'form_id']
+        },
+        form_retry: {
+            description: 'Outcome of a queued submission: queued, success, failed, rejected, dropped, expired',
+            params: ['outcome', 'attempt', 'form_id', 'submission_id', 'destination']
+        },
+        form_step: {
+            description: 'Wizard step activity: view, complete, back, validation_error',
+            params: ['step_action', 'step_number', 'step_title', 'step_count']
+        },
+        calendly_booking: {
+            description: 'A meeting was scheduled through the booking embed (any provider)',
+            params: ['booking_provider']
+        },
+        funnel_complete: {
+            description: 'The same visitor submitted the audit form and booked a call in one session',
+            params: ['funnel', 'order']
+        },
+        section_view: {
+            description: 'A main section was at least half in view (once per page view)',
+            params: ['section_id', 'section_index']
+        },
+        section_engagement: {
+            description: 'Visible time spent in a section, sent when the page is hidden',
+            params: ['section_id', 'engaged_ms']
+        },
+        scroll_depth: {
+            description: 'Scroll milestone reached: 25, 50, 75, 90 or 100 percent (once each)',
+            params: ['percent']
+        },
+        page_engagement: {
+            description: 'Visible time on page and deepest scroll, sent when the page is hidden',
+            params: ['engaged_ms', 'max_scroll_percent']
+        },
+        faq_open: {
+            description: 'An FAQ answer was expanded',
+            params: ['faq_id', 'faq_question']
+        },
+        roi_calculator_use: {
+            description: 'First interaction with the ROI calculator (once per page view)',
+            params: ['field']
+        },
+        roi_calculator_update: {
+            description: 'Settled ROI calculator inputs and projection (debounced)',
+            params: ['patient_value', 'chairs', 'current_patients', 'ad_budget', 'projected_profit']
+        },
+        exit_intent_impression: {
+            description: 'The exit-intent email capture modal was shown',
+            params: ['trigger']
+        },
+        exit_intent_dismiss: {
+            description: 'The exit-intent modal was closed without converting',
+            params: ['trigger', 'visible_ms']
+        },
+        exit_intent_convert: {
+            description: 'An email was captured from the exit-intent modal (sent or queued for retry)',
+            params: ['trigger', 'result']
         },
+        sticky_cta_impression: {
+            description: 'The sticky CTA was shown with a label/target variant (once per variant per page view)',
+            params: ['section_id', 'cta_label', 'cta_target']
+        },
+        sticky_cta_dismiss: {
+            description: 'The visitor hid the sticky CTA for the rest of the session',
+            params: ['section_id', 'cta_label', 'cta_target']
+        },
+        web_vital: {
+            description: 'Core Web Vital for this page view: LCP, CLS, INP, FCP or TTFB (sampled)',
+            params: ['metric_name', 'metric_value', 'metric_rating']
+        },
+        js_error: {
+            description: 'Runtime error, unhandled rejection or module failure (sampled, capped per page)',
+            params: ['error_message', 'error_type', 'error_module']
+        },
+        form_spam: {
+            description: 'SpamGuard flagged or dropped a submission (flags: honeypot, too_fast, no_interaction, rate_limited, challenge_failed)',
+            params: ['form_id', 'spam_flags', 'spam_action']
+        },
+        experiment_impression: {
+            description: 'An experiment with elements on this page was applied (once per experiment per page view)',
+            params: ['experiment_id', 'variant_id', 'forced']
+        }
+    };
+
+    // ===== ANALYTICS TRANSPORTS =====
+    // Destinations for Analytics events. Each adapter implements:
+    //   consent                    - Consent category required before sending (null = none)
+    //   isAvailable()              - whether its library or endpoint is ready
+    //   send(name, params, id)     - deliver one event; return false if it was skipped
+    // Enable flags and settings come from CONFIG.ANALYTICS_TRANSPORTS[name].
+    const transportSettings = (name) => CONFIG.ANALYTICS_TRANSPORTS[name] || {};
+
+    const AnalyticsTransports = {
+        gtag: {
+            consent: 'analytics',
+
+            isAvailable() {
+                return typeof window.gtag === 'function' || Array.isArray(window.dataLayer);
+            },
+
+            send(eventName, params) {
+                if (typeof window.gtag === 'function') {
+                    window.gtag('event', eventName, params);
+                    log('GA4 event tracked:', eventName, params);
+                } else {
+                    window.dataLayer.push({
+                        event: eventName,
+                        ...params
+                    });
+                    log('DataLayer event pushed:', eventName, params);
+                }
+            }
+        },
+
+        // Standard events only by default; set customEvents to mirror everything with trackCustom
+        meta: {
+            consent: 'marketing',
+            events: {
+                form_submit: 'Lead',
+                calendly_booking: 'Schedule'
+            },
+
+            isAvailable() {
+                return typeof window.fbq === 'function' || Boolean(transportSettings('meta').pixelId);
+            },
+
+            load() {
+                if (typeof window.fbq === 'function') return;
+
+                const fbq = function(...args) {
+                    fbq.callMethod ? fbq.callMethod(...args) : fbq.queue.push(args);
+                };
+                fbq.push = fbq;
+                fbq.loaded = true;
+                fbq.version = '2.0';
+                fbq.queue = [];
+                window.fbq = fbq;
+                window._fbq = window._fbq || fbq;
+
+                loadScript('https://connect.facebook.net/en_US/fbevents.js')
+                    .catch(error => warn('Meta Pixel failed to load:', error));
+                fbq('init', transportSettings('meta').pixelId);
+                fbq('track', 'PageView');
+            },
+
+            send(eventName, params, eventId) {
+                const standardEvent = this.events[eventName];
+                if (!standardEvent && !transportSettings('meta').customEvents) return false;
+
+                this.load();
+                window.fbq(standardEvent ? 'track' : 'trackCustom', standardEvent || eventName, {
+                    content_name: params.form_id || params.booking_provider || eventName,
+                    content_category: params.event_category
+                }, { eventID: eventId });
+                log('Meta Pixel event tracked:', standardEvent || eventName, eventId);
+            }
+        },
+
+        // Cookieless, so not consent-gated unless CONFIG says otherwise
+        plausible: {
+            consent: null,
+
+            isAvailable() {
+                return typeof window.plausible === 'function';
+            },
+
+            send(eventName, params) {
+                const props = {};
+                Object.keys(params).forEach(key => {
+                    if (['string', 'number', 'boolean'].includes(typeof params[key])) props[key] = params[key];
+                });
+
+                window.plausible(eventName, { props: props });
+                log('Plausible event tracked:', eventName);
+            }
+        },
+
+        // One JSON POST per event to a self-hosted collector; survives page unload
+        beacon: {
+            consent: 'analytics',
+
+            isAvailable() {
+                return Boolean(transportSettings('beacon').endpoint);
+            },
+
+            send(eventName, params, eventId) {
+                const endpoint = transportSettings('beacon').endpoint;
+                const body = JSON.stringify({
+                    event: eventName,
+                    event_id: eventId,
+                    params: params,
+                    page_location: window.location.href,
+                    timestamp: new Date().toISOString()
+                });
+
+                const queued = navigator.sendBeacon &&
+                    navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }));
+                if (!queued) {
+                    fetch(endpoint, {
+                        method: 'POST',
+                        body: body,
+                        headers: { 'Content-Type': 'application/json' },
+                        keepalive: true
+                    }).catch(error => log('Beacon failed:', error));
+                }
+            }
+        }
+    };
+
+    // ===== ANALYTICS WRAPPER =====
+    // Adds context params and an event_id to every event, then dispatches it to
+    // each enabled transport that has consent. Events wait while consent is
+    // undecided; an event_id is never delivered twice to the same transport.
+    const Analytics = {
+        contextProviders: [],
+        observers: [],
+        transports: { ...AnalyticsTransports },
+        delivered: new Set(),
+        pending: [],
+
+        // Modules register functions returning params merged into every event
+        addContext(provider) {
+            this.contextProviders.push(provider);
+        },
+
+        registerTransport(name, transport) {
+            this.transports[name] = transport;
+        },
+
+        // Observers see every event with its final params (the debug overlay's feed)
+        observe(observer) {
+            this.observers.push(observer);
+        },
+
+        getContext() {
+            return this.contextProviders.reduce((context, provider) => {
+                try {
+                    return { ...context, ...provider() };
+                } catch (error) {
+                    warn('Analytics context error:', error);
+                    return context;
+                }
+            }, {});
+        },
+
+        // Callers may pass a stable event_id (e.g. the submission id) so retries dedupe.
+        // simulated: true (debug overlay rehearsals) reaches observers but no transport
+        safeGtagEvent(eventName, params = {}) {
+            params = { ...this.getContext(), ...params };
+            params.event_id = params.event_id || uid();
+            if (CONFIG.DEBUG) this.validate(eventName, params);
+
+            const isSent = params.simulated ? false : this.dispatch(eventName, params);
+            this.observers.forEach(observer => {
+                try {
+                    observer(eventName, params, isSent);
+                } catch (error) {
+                    warn('Analytics observer error:', error);
+                }
+            });
+            return isSent;
+        },
+
+        validate(eventName, params) {
+            const schema = EVENT_SCHEMA[eventName];
+            if (!schema) {
+                warn(`Event "${eventName}" is not documented in EVENT_SCHEMA`);
+                return;
+            }
+
+            const missing = schema.params.filter(name => params[name] === undefined);
+            if (missing.length > 0) {
+                warn(`Event "${eventName}" is missing params:`, missing);
+            }
+        },
+
+        consentFor(name) {
+            const settings = transportSettings(name);
+            return settings.consent !== undefined ? settings.consent : this.transports[name].consent;
+        },
+
+        dispatch(eventName, params) {
+            let isWaiting = false;
+            let isSent = false;
+
+            Object.keys(this.transports).forEach(name => {
+                if (!transportSettings(name).enabled) return;
+
+                const category = this.consentFor(name);
+                if (category && !Consent.isDecided()) {
+                    isWaiting = true;
+                } else if (!category || Consent.has(category)) {
+                    isSent = this.deliver(name, eventName, params) || isSent;
+                }
+            });
+
+            if (isWaiting) {
+                if (this.pending.length < CONFIG.CONSENT_BUFFER_LIMIT) {
+                    this.pending.push([eventName, params]);
+                }
+                log('Event buffered until consent is decided:', eventName);
+            }
+
+            return isSent;
+        },
+
+        deliver(name, eventName, params) {
+            const transport = this.transports[name];
+            const key = `${name}:${params.event_id}`;
+
+            if (this.delivered.has(key)) {
+                log(`Duplicate ${eventName} skipped for ${name}:`, params.event_id);
+                return false;
+            }
+
+            if (!transport.isAvailable()) {
+                log(`${name} not available, skipping event:`, eventName);
+                return false;
+            }
+
+            try {
+                if (transport.send(eventName, params, params.event_id) === false) return false;
+                this.delivered.add(key);
+                return true;
+            } catch (error) {
+                warn(`Analytics error (${name}):`, error);
+                return false;
+            }
+        },
+
+        // Consent was just decided: re-dispatch; transports that already sent an event skip it by event_id
+        flushPending() {
+            const pending = this.pending;
+            this.pending = [];
+
+            pending.forEach(([eventName, params]) => this.dispatch(eventName, params));
+            log('Flushed buffered events after consent decision:', pending.length);
+        },
+
+        trackFormSubmit(formId, method = 'formspree', submissionId, isSimulated = false) {
+            this.safeGtagEvent('form_submit', {
+                method: method,
+                form_id: formId || 'mainForm',
+                event_id: submissionId,
+                ...(isSimulated && { simulated: true })
+            });
+            if (isSimulated) return;
+            PublicEvents.emit('form:success', { formId: formId || 'mainForm', method: method, submissionId: submissionId });
+        },
+
+        trackSubmissionRetry(outcome, item) {
+            this.safeGtagEvent('form_retry', {
+                event_category: 'form',
+                outcome: outcome,
+                attempt: item.attempts,
+                form_id: item.formId,
+                submission_id: item.id,
+                destination: item.destination || 'formspree'
+            });
+        },
+
+        trackFormStep(action, step, stepCount) {
+            this.safeGtagEvent('form_step', {
+                event_category: 'form',
+                step_action: action,
+                step_number: step.number,
+                step_title: step.title,
+                step_count: stepCount
+            });
+        },
+
+        trackCalendlyBooking(eventData) {
+            this.safeGtagEvent('calendly_booking', {
+                event_category: 'booking',
+                value: 1,
+                event_id: eventData.invitee_uri || eventData.event_uri,
+                ...eventData
+            });
+            if (eventData.simulated) return;
+            PublicEvents.emit('booking:scheduled', {
+                provider: eventData.booking_provider,
+                eventUri: eventData.event_uri,
+                inviteeUri: eventData.invitee_uri,
+                eventType: eventData.event_type
+            });
+        },
+
+        trackFunnelComplete(order) {
+            this.safeGtagEvent('funnel_complete', {
+                event_category: 'conversion',
+                funnel: 'form_to_booking',
+                order: order,
+                value: 1
+            });
+        },
+
+        trackSectionView(sectionId, index) {
+            this.safeGtagEvent('section_view', {
+                event_category: 'engagement',
+                section_id: sectionId,
+                section_index: index
+            });
+        },
+
+        trackSectionEngagement(sectionId, engagedMs) {
+            this.safeGtagEvent('section_engagement', {
+                event_category: 'engagement',
+                section_id: sectionId,
+                engaged_ms: engagedMs
+            });
+        },
+
+        trackScrollDepth(percent) {
+            this.safeGtagEvent('scroll_depth', {
+                event_category: 'engagement',
+                percent: percent
+            });
+        },
+
+        trackPageEngagement(engagedMs, maxScrollPercent) {
+            this.safeGtagEvent('page_engagement', {
+                event_category: 'engagement',
+                engaged_ms: engagedMs,
+                max_scroll_percent: maxScrollPercent
+            });
+        },
+
+        trackFAQOpen(faqId, question) {
+            this.safeGtagEvent('faq_open', {
+                event_category: 'engagement',
+                faq_id: faqId,
+                faq_question: question
+            });
+        },
+
+        trackROICalculator(action, params) {
+            this.safeGtagEvent(`roi_calculator_${action}`, {
+                event_category: 'engagement',
+                ...params
+            });
+        },
+
+        trackWebVital(report) {
+            this.safeGtagEvent('web_vital', {
+                event_category: 'performance',
+                metric_name: report.name,
+                metric_value: report.value,
+                metric_rating: report.rating,
+                metric_target: report.target,
+                non_interaction: true
+            });
+        },
+
+        trackError(report) {
+            this.safeGtagEvent('js_error', {
+                event_category: 'error',
+                error_message: report.message,
+                error_type: report.type,
+                error_module: report.module,
+                error_source: report.source ? `${report.source}:${report.line}:${report.column}` : undefined,
+                non_interaction: true
+            });
+        },
+
+        trackSpam(formId, flags, action) {
+            this.safeGtagEvent('form_spam', {
+                event_category: 'form',
+                form_id: formId,
+                spam_flags: flags.join(','),
+                spam_action: action
+            });
+        },
+
+        trackExitIntent(action, params) {
+            this.safeGtagEvent(`exit_intent_${action}`, {
+                event_category: 'lead_capture',
+                ...params
+            });
+        },
+
+        trackStickyCTA(action, params) {
+            this.safeGtagEvent(`sticky_cta_${action}`, {
+                event_category: 'engagement',
+                ...params
+            });
+        },
+
+        trackExperimentImpression(experimentId, variantId, forced) {
+            this.safeGtagEvent('experiment_impression', {
+                event_category: 'experiment',
+                experiment_id: experimentId,
+                variant_id: variantId,
+                forced: forced
+            });
+        },
+
+        trackCTAClick(label, location) {
+            this.safeGtagEvent('cta_click', {
+                event_category: 'engagement',
+                event_label: label,
+                location: location
+            });
+            PublicEvents.emit('cta:click', { label: label, location: location });
+        }
+    };
+
+    // ===== MONITORING (WEB VITALS + ERRORS) =====
+    // Field data for this landing page: Web Vitals from PerformanceObserver plus
+    // window errors, unhandled rejections and module failures passed to
+    // captureError(). A sampled share of page views report; reports are batched
+    // to CONFIG.MONITORING_ENDPOINT (no identifiers, analytics consent only) or
+    // sent as Analytics events.
+    const Monitoring = {
+        isSampled: false,
+        queue: [],
+        sentCount: 0,
+        droppedCount: 0,
+        flushTimer: null,
+        vitals: {},
+        reportedVitals: new Set(),
+        errorCounts: new Map(),
+        thresholds: {
+            LCP: [2500, 4000],
+            CLS: [0.1, 0.25],
+            INP: [200, 500],
+            FCP: [1800, 3000],
+            TTFB: [800, 1800]
+        },
+
+        init() {
+            this.isSampled = Math.random() < CONFIG.MONITORING_SAMPLE_RATE;
+            if (!this.isSampled) {
+                log('Monitoring not sampled for this page view');
+                return;
+            }
+
+            window.addEventListener('error', (e) => {
+                this.captureError(e.error || new Error(e.message), {
+                    type: 'error',
+                    source: e.filename,
+                    line: e.lineno,
+                    column: e.colno
+                });
+            });
+
+            window.addEventListener('unhandledrejection', (e) => {
+                const reason = e.reason instanceof Error ? e.reason : new Error(String(e.reason));
+                this.captureError(reason, { type: 'unhandledrejection' });
+            });
+
+            this.observeVitals();
+
+            // Final LCP / CLS / INP values are known once the page is hidden
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.finalize();
+            });
+            window.addEventListener('pagehide', () => this.finalize());
+            Consent.onChange(() => this.flush());
+
+            log('Monitoring initialized');
+        },
+
+        observe(type, callback, options = {}) {
+            try {
+                if (!window.PerformanceObserver || !PerformanceObserver.supportedEntryTypes.includes(type)) return null;
+
+                const observer = new PerformanceObserver(list => callback(list.getEntries()));
+                observer.observe({ type: type, buffered: true, ...options });
+                return observer;
+            } catch (error) {
+                log(`PerformanceObserver "${type}" unavailable:`, error);
+                return null;
+            }
+        },
+
+        observeVitals() {
+            const navigation = performance.getEntriesByType && performance.getEntriesByType('navigation')[0];
+            if (navigation) {
+                this.reportVital('TTFB', Math.max(0, navigation.responseStart - (navigation.activationStart || 0)));
+            }
+
+            this.observe('paint', entries => {
+                const fcp = entries.find(entry => entry.name === 'first-contentful-paint');
+                if (fcp) this.reportVital('FCP', fcp.startTime);
+            });
+
+            // The hero image is the usual LCP element, so keep its URL
+            this.observe('largest-contentful-paint', entries => {
+                const last = entries[entries.length - 1];
+                this.vitals.LCP = {
+                    value: last.startTime,
+                    target: this.describe(last.element),
+                    url: last.url || undefined
+                };
+            });
+
+            // CLS: largest session window of shifts (gaps under 1s, windows up to 5s)
+            let session = { value: 0, first: 0, last: 0 };
+            this.observe('layout-shift', entries => {
+                entries.forEach(entry => {
+                    if (entry.hadRecentInput) return;
+
+                    if (session.value && entry.startTime - session.last < 1000 && entry.startTime - session.first < 5000) {
+                        session.value += entry.value;
+                        session.last = entry.startTime;
+                    } else {
+                        session = { value: entry.value, first: entry.startTime, last: entry.startTime };
+                    }
+
+                    if (!this.vitals.CLS || session.value > this.vitals.CLS.value) {
+                        const source = entry.sources && entry.sources[0];
+                        this.vitals.CLS = { value: session.value, target: this.describe(source && source.node) };
+                    }
+                });
+            });
+
+            // INP: slowest interaction, or the 98th percentile once there are 50+
+            const interactions = new Map();
+            const recordInteraction = entries => {
+                entries.forEach(entry => {
+                    if (!entry.interactionId) return;
+
+                    const existing = interactions.get(entry.interactionId);
+                    if (!existing || entry.duration > existing.duration) {
+                        interactions.set(entry.interactionId, {
+                            duration: entry.duration,
+                            target: this.describe(entry.target) || (existing && existing.target),
+                            name: entry.name
+                        });
+                    }
+                });
+
+                const sorted = Array.from(interactions.values()).sort((a, b) => b.duration - a.duration);
+                const inp = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length / 50))];
+                if (inp) this.vitals.INP = { value: inp.duration, target: inp.target, event: inp.name };
+            };
+            this.observe('event', recordInteraction, { durationThreshold: 40 });
+            this.observe('first-input', recordInteraction);
+        },
+
+        describe(node) {
+            if (!node || !node.tagName) return undefined;
+
+            const id = node.id ? `#${node.id}` : '';
+            const classes = node.classList && node.classList.length > 0 ? `.${Array.from(node.classList).slice(0, 2).join('.')}` : '';
+            return `${node.tagName.toLowerCase()}${id}${classes}`;
+        },
+
+        rating(name, value) {
+            const [good, poor] = this.thresholds[name];
+            if (value <= good) return 'good';
+            return value <= poor ? 'needs-improvement' : 'poor';
+        },
+
+        reportVital(name, value, details = {}) {
+            if (this.reportedVitals.has(name)) return;
+            this.reportedVitals.add(name);
+
+            const rounded = name === 'CLS' ? Math.round(value * 1000) / 1000 : Math.round(value);
+            this.enqueue({
+                kind: 'vital',
+                name: name,
+                value: rounded,
+                rating: this.rating(name, value),
+                ...details
+            });
+        },
+
+        finalize() {
+            ['LCP', 'CLS', 'INP'].forEach(name => {
+                const vital = this.vitals[name];
+                if (!vital) return;
+
+                const { value, ...details } = vital;
+                this.reportVital(name, value, details);
+            });
+            this.flush();
+        },
+
+        // Modules call this for failures they handle themselves (e.g. { module: 'calendly' })
+        captureError(error, context = {}) {
+            if (!this.isSampled) return;
+
+            const message = String((error && error.message) || error || 'Unknown error').slice(0, 200);
+            const key = `${context.module || context.type || 'error'}:${message}`;
+            const count = (this.errorCounts.get(key) || 0) + 1;
+            this.errorCounts.set(key, count);
+            if (count > 1) return;
+
+            this.enqueue({
+                kind: 'error',
+                type: context.type || 'module',
+                module: context.module || 'window',
+                message: message,
+                source: context.source,
+                line: context.line,
+                column: context.column,
+                status: context.status,
+                stack: error && error.stack ? String(error.stack).slice(0, 500) : undefined
+            });
+        },
+
+        enqueue(report) {
+            if (this.sentCount + this.queue.length >= CONFIG.MONITORING_MAX_REPORTS) {
+                this.droppedCount++;
+                return;
+            }
+
+            this.queue.push({ ...report, timestamp: Date.now() });
+            log('Monitoring report queued:', report);
+
+            if (!this.flushTimer) {
+                this.flushTimer = setTimeout(() => this.flush(), CONFIG.MONITORING_FLUSH_DELAY);
+            }
+        },
+
+        flush() {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+            if (this.queue.length === 0) return;
+
+            // The beacon carries the user agent, stacks and connection type, so like any
+            // analytics transport it waits for a consent decision (Consent.onChange flushes)
+            if (CONFIG.MONITORING_ENDPOINT && !Consent.isDecided()) return;
+
+            const reports = this.queue;
+            this.queue = [];
+            this.sentCount += reports.length;
+
+            if (CONFIG.MONITORING_ENDPOINT) {
+                if (Consent.has('analytics')) this.sendBeacon(reports);
+            } else {
+                reports.forEach(report => this.sendToAnalytics(report));
+            }
+        },
+
+        sendBeacon(reports) {
+            const body = JSON.stringify({
+                page: window.location.pathname,
+                user_agent: navigator.userAgent,
+                connection: navigator.connection ? navigator.connection.effectiveType : undefined,
+                dropped: this.droppedCount,
+                reports: reports
+            });
+
+            const queued = navigator.sendBeacon &&
+                navigator.sendBeacon(CONFIG.MONITORING_ENDPOINT, new Blob([body], { type: 'application/json' }));
+            if (!queued) {
+                fetch(CONFIG.MONITORING_ENDPOINT, {
+                    method: 'POST',
+                    body: body,
+                    headers: { 'Content-Type': 'application/json' },
+                    keepalive: true
+                }).catch(error => log('Monitoring beacon failed:', error));
+            }
+        },
+
+        sendToAnalytics(report) {
+            if (report.kind === 'vital') {
+                Analytics.trackWebVital(report);
+            } else {
+                Analytics.trackError(report);
+            }
+        }
+    };
+
+    // ===== CONSENT (GOOGLE CONSENT MODE V2) =====
+    // index.html sets every non-essential Consent Mode signal to "denied" before
+    // GTM loads. This module asks once, stores the answer and sends the update.
+    // Categories: analytics (analytics_storage) and marketing (ad_* signals and
+    // third-party embeds such as Calendly).
+    const Consent = {
+        storageKey: 'consent',
+        choice: null,
+        banner: null,
+        options: null,
+        listeners: [],
+
+        init() {
+            const saved = storage.get(this.storageKey);
+            if (saved && saved.version === CONFIG.CONSENT_VERSION) {
+                this.choice = saved;
+                Analytics.flushPending();
+            } else {
+                this.showBanner();
+            }
+
+            $$('[data-js="consent-open"]').forEach(btn => {
+                btn.addEventListener('click', () => this.showBanner(true));
+            });
+
+            log('Consent initialized:', this.choice || 'undecided');
+        },
+
+        isDecided() {
+            return this.choice !== null;
+        },
+
+        has(category) {
+            return category === 'necessary' || Boolean(this.choice && this.choice[category]);
+        },
+
+        onChange(listener) {
+            this.listeners.push(listener);
+        },
+
+        // Grant one category without touching the others (e.g. "Load calendar" on an embed)
+        grant(category) {
+            this.save({
+                analytics: this.has('analytics'),
+                marketing: this.has('marketing'),
+                [category]: true
+            });
+        },
+
+        save(choice) {
+            this.choice = {
+                version: CONFIG.CONSENT_VERSION,
+                analytics: Boolean(choice.analytics),
+                marketing: Boolean(choice.marketing),
+                timestamp: Date.now()
+            };
+
+            storage.set(this.storageKey, this.choice);
+            this.pushUpdate();
+            this.hideBanner();
+            Analytics.flushPending();
+            this.listeners.forEach(listener => listener(this.choice));
+            log('Consent saved:', this.choice);
+        },
+
+        pushUpdate() {
+            const ads = this.choice.marketing ? 'granted' : 'denied';
+            const update = {
+                ad_storage: ads,
+                ad_user_data: ads,
+                ad_personalization: ads,
+                analytics_storage: this.choice.analytics ? 'granted' : 'denied'
+            };
+
+            window.dataLayer = window.dataLayer || [];
+            if (typeof window.gtag === 'function') {
+                window.gtag('consent', 'update', update);
+            } else {
+                // Consent commands must reach the dataLayer as an Arguments object, like gtag() does
+                (function() { window.dataLayer.push(arguments); })('consent', 'update', update);
+            }
+
+            window.dataLayer.push({
+                event: 'consent_update',
+                consent_analytics: update.analytics_storage,
+                consent_marketing: ads
+            });
+        },
+
+        showBanner(expanded = false) {
+            if (!this.banner) this.renderBanner();
+
+            this.banner.hidden = false;
+            this.toggleOptions(expanded);
+
+            // Reopened from "Cookie Settings": move focus in so keyboard users land on it
+            if (expanded) {
+                $('.consent-banner__title', this.banner).focus();
+            }
+        },
+
+        hideBanner() {
+            if (this.banner) this.banner.hidden = true;
+        },
+
+        renderBanner() {
+            const banner = document.createElement('div');
+            banner.className = 'consent-banner';
+            banner.setAttribute('role', 'region');
+            banner.setAttribute('aria-labelledby', 'consent-title');
+            banner.innerHTML = `
+                <div class="consent-banner__inner">
+                    <h2 class="consent-banner__title" id="consent-title" tabindex="-1">${I18n.t('consent.title')}</h2>
+                    <p class="consent-banner__text">
+                        ${I18n.t('consent.text')}
+                        <a href="/privacy">${I18n.t('consent.privacy')}</a>
+                    </p>
+                    <fieldset class="consent-banner__options" hidden>
+                        <legend class="sr-only">${I18n.t('consent.categories')}</legend>
+                        <label><input type="checkbox" checked disabled> ${I18n.t('consent.necessary')}</label>
+                        <label><input type="checkbox" name="analytics"> ${I18n.t('consent.analytics')}</label>
+                        <label><input type="checkbox" name="marketing"> ${I18n.t('consent.marketing')}</label>
+                    </fieldset>
+                    <div class="consent-banner__actions">
+                        <button type="button" class="btn btn-ghost" data-consent="reject">${I18n.t('consent.reject')}</button>
+                        <button type="button" class="btn btn-ghost" data-consent="customize">${I18n.t('consent.customize')}</button>
+                        <button type="button" class="btn btn-ghost is-hidden" data-consent="save">${I18n.t('consent.save')}</button>
+                        <button type="button" class="btn btn-primary" data-consent="accept">${I18n.t('consent.accept')}</button>
+                    </div>
+                </div>
+            `;
+
+            banner.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-consent]');
+                if (!button) return;
+
+                const action = button.dataset.consent;
+                if (action === 'accept') {
+                    this.save({ analytics: true, marketing: true });
+                } else if (action === 'reject') {
+                    this.save({ analytics: false, marketing: false });
+                } else if (action === 'customize') {
+                    this.toggleOptions(true);
+                    $('input[name="analytics"]', banner).focus();
+                } else if (action === 'save') {
+                    this.save({
+                        analytics: $('input[name="analytics"]', banner).checked,
+                        marketing: $('input[name="marketing"]', banner).checked
+                    });
+                }
+            });
+
+            document.body.appendChild(banner);
+            this.banner = banner;
+            this.options = $('.consent-banner__options', banner);
+        },
+
+        toggleOptions(expanded) {
+            this.options.hidden = !expanded;
+            $('input[name="analytics"]', this.banner).checked = this.has('analytics');
+            $('input[name="marketing"]', this.banner).checked = this.has('marketing');
+            $('[data-consent="customize"]', this.banner).classList.toggle('is-hidden', expanded);
+            $('[data-consent="save"]', this.banner).classList.toggle('is-hidden', !expanded);
+        }
+    };
+
+    // ===== ATTRIBUTION (UTM, CLICK IDS, REFERRER) =====
+    // A "touch" is captured on every landing. First touch is kept for
+    // ATTRIBUTION_TTL; last touch is only replaced by a landing that carries
+    // campaign data or an external referrer, so reloads and internal
+    // navigation never overwrite the paid click that brought the visitor in.
+    // Touches stay in sessionStorage until analytics consent is granted.
+    const Attribution = {
+        storageKey: 'attribution',
+        params: ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'gclid', 'fbclid'],
+        searchEngines: /(^|\.)(google|bing|yahoo|duckduckgo|baidu|yandex|ecosia)\./,
+        firstTouch: null,
+        lastTouch: null,
+
+        init() {
+            const stored = storage.get(this.storageKey, null) || storage.get(this.storageKey, {}, 'session') || {};
+            const touch = this.captureTouch();
+            const firstExpired = !stored.firstTouch ||
+                Date.now() - stored.firstTouch.timestamp > CONFIG.ATTRIBUTION_TTL;
+
+            this.firstTouch = firstExpired ? touch : stored.firstTouch;
+            this.lastTouch = touch.medium !== '(none)' || !stored.lastTouch ? touch : stored.lastTouch;
+
+            this.store();
+            Consent.onChange(() => this.store());
+
+            Analytics.addContext(() => this.getEventParams());
+            FormHandler.addFields('attribution', () => this.getFields());
+
+            log('Attribution captured:', this.firstTouch, this.lastTouch);
+        },
+
+        // Same rule as Experiments.storeVisitorId: localStorage (ATTRIBUTION_TTL) only with analytics consent
+        store() {
+            const touches = { firstTouch: this.firstTouch, lastTouch: this.lastTouch };
+
+            if (Consent.has('analytics')) {
+                storage.set(this.storageKey, touches);
+                storage.remove(this.storageKey, 'session');
+            } else {
+                storage.set(this.storageKey, touches, 'session');
+                storage.remove(this.storageKey);
+            }
+        },
+
+        captureTouch() {
+            const query = new URLSearchParams(window.location.search);
+            const touch = {
+                source: query.get('utm_source') || '',
+                medium: query.get('utm_medium') || '',
+                campaign: query.get('utm_campaign') || '',
+                term: query.get('utm_term') || '',
+                content: query.get('utm_content') || '',
+                gclid: query.get('gclid') || '',
+                fbclid: query.get('fbclid') || '',
+                referrer: this.externalReferrer(),
+                landing_page: window.location.pathname,
+                timestamp: Date.now()
+            };
+
+            // Fill in source/medium the way GA would when UTMs are missing
+            if (!touch.source) {
+                if (touch.gclid) {
+                    touch.source = 'google';
+                    touch.medium = touch.medium || 'cpc';
+                } else if (touch.fbclid) {
+                    touch.source = 'facebook';
+                    touch.medium = touch.medium || 'social';
+                } else if (touch.referrer) {
+                    const host = this.hostname(touch.referrer);
+                    touch.source = host;
+                    touch.medium = touch.medium || (this.searchEngines.test(host) ? 'organic' : 'referral');
+                } else {
+                    touch.source = '(direct)';
+                    touch.medium = touch.medium || '(none)';
+                }
+            }
+
+            return touch;
+        },
+
+        externalReferrer() {
+            const referrer = document.referrer;
+            if (!referrer) return '';
+            return this.hostname(referrer) === window.location.hostname ? '' : referrer;
+        },
+
+        hostname(url) {
+            try {
+                return new URL(url).hostname.replace(/^www\./, '');
+            } catch (error) {
+                return '';
+            }
+        },
+
+        // Flat hidden fields for form submissions (first_touch_source, last_touch_gclid, ...)
+        getFields() {
+            const fields = {};
+            [['first_touch', this.firstTouch], ['last_touch', this.lastTouch]].forEach(([prefix, touch]) => {
+                if (!touch) return;
+                Object.keys(touch).forEach(key => {
+                    if (!touch[key]) return;
+                    fields[`${prefix}_${key}`] = key === 'timestamp' ? new Date(touch[key]).toISOString() : touch[key];
+                });
+            });
+            return fields;
+        },
+
+        getEventParams() {
+            if (!this.lastTouch) return {};
+
+            const params = {
+                first_touch_source: this.firstTouch.source,
+                first_touch_medium: this.firstTouch.medium,
+                first_touch_campaign: this.firstTouch.campaign,
+                last_touch_source: this.lastTouch.source,
+                last_touch_medium: this.lastTouch.medium,
+                last_touch_campaign: this.lastTouch.campaign
+            };
+
+            Object.keys(params).forEach(key => {
+                if (!params[key]) delete params[key];
+            });
+            return params;
+        },
+
+        // Calendly's inline widget accepts camel-cased UTM keys only
+        getCalendlyUtm() {
+            const touch = this.lastTouch;
+            if (!touch || touch.source === '(direct)') return {};
+
+            const utm = {
+                utmSource: touch.source,
+                utmMedium: touch.medium,
+                utmCampaign: touch.campaign,
+                utmTerm: touch.term,
+                utmContent: touch.content
+            };
+
+            Object.keys(utm).forEach(key => {
+                if (!utm[key]) delete utm[key];
+            });
+            return utm;
+        }
+    };
+
+    // ===== FUNNEL (FORM -> BOOKING) =====
+    // Remembers, per browser session, who submitted the audit form (for Calendly
+    // prefill) and whether they also booked, so the combined conversion fires once.
+    // A separate localStorage flag marks converted visitors for later visits.
+    const Funnel = {
+        storageKey: 'funnel',
+        leadKey: 'lead',
+        convertedKey: 'converted',
+        state: { submitted: false, booked: false, completed: false },
+
+        init() {
+            this.state = { ...this.state, ...storage.get(this.storageKey, {}, 'session') };
+        },
+
+        recordLead(lead) {
+            storage.set(this.leadKey, lead, 'session');
+            this.mark('submitted');
+        },
+
+        getLead() {
+            return storage.get(this.leadKey, null, 'session');
+        },
+
+        hasConverted() {
+            return this.state.submitted || this.state.booked || Boolean(storage.get(this.convertedKey));
+        },
+
+        mark(step) {
+            if (this.state[step]) return;
+
+            this.state[step] = true;
+            storage.set(this.convertedKey, { step: step, timestamp: Date.now() });
+            if (this.state.submitted && this.state.booked && !this.state.completed) {
+                this.state.completed = true;
+                Analytics.trackFunnelComplete(step === 'booked' ? 'form_first' : 'booking_first');
+                log('Funnel completed: form + booking');
+            }
+
+            storage.set(this.storageKey, this.state, 'session');
+        }
+    };
+
+    // ===== PERSONALIZATION (CITY / NICHE) =====
+    // Reads ?city= / ?niche= or matching path segments (/chiropractor/omaha) and
+    // fills [data-personalize] placeholders from #personalization-config. Unknown
+    // values fall back to the config defaults; title and JSON-LD are only rewritten
+    // when the visitor landed on a specific variant.
+    const Personalization = {
+        config: null,
+        city: null,
+        niche: null,
+        variant: null,
+        isDefault: true,
+
+        init() {
+            this.config = readJSONConfig('personalization-config');
+            if (!this.config || !this.config.cities || !this.config.niches) {
+                log('Personalization config not found');
+                return;
+            }
+
+            this.resolve();
+
+            const tokens = this.getTokens();
+            this.applyPlaceholders(tokens);
+            if (!this.isDefault) {
+                this.applyTitle(tokens);
+                this.applyStructuredData(tokens);
+            }
+
+            Analytics.addContext(() => this.getEventParams());
+            FormHandler.addFields('variant', () => this.getEventParams());
+
+            log('Personalization applied:', this.variant);
+        },
+
+        resolve() {
+            const query = new URLSearchParams(window.location.search);
+            const segments = window.location.pathname.split('/').filter(Boolean).map(s => s.toLowerCase());
+            const defaults = this.config.defaults || {};
+
+            const pick = (param, table, fallback) => {
+                const requested = (query.get(param) || '').toLowerCase().trim().replace(/\s+/g, '-');
+                if (requested && table[requested]) return requested;
+                if (requested) warn(`Unknown ${param} "${requested}", using default`);
+
+                const fromPath = segments.find(segment => table[segment]);
+                if (fromPath) return fromPath;
+
+                return table[fallback] ? fallback : Object.keys(table)[0];
+            };
+
+            this.city = pick('city', this.config.cities, defaults.city);
+            this.niche = pick('niche', this.config.niches, defaults.niche);
+            this.variant = `${this.city}/${this.niche}`;
+            this.isDefault = this.city === defaults.city && this.niche === defaults.niche;
+        },
+
+        getTokens() {
+            const city = this.config.cities[this.city];
+            const niche = this.config.niches[this.niche];
+            const share = typeof niche.search_share === 'number' ? niche.search_share : 1;
+            const tokens = { ...niche, ...city };
+
+            if (typeof city.daily_searches === 'number') {
+                tokens.daily_searches = `${Math.round(city.daily_searches * share)}+`;
+            }
+            tokens.niche_title = this.titleCase(niche.niche || '');
+
+            return tokens;
+        },
+
+        titleCase(text) {
+            return text.replace(/\b\w/g, letter => letter.toUpperCase());
+        },
+
+        applyPlaceholders(tokens) {
+            $$('[data-personalize]').forEach(el => {
+                const value = tokens[el.dataset.personalize];
+                if (value === undefined || value === null) return;
+
+                el.textContent = el.dataset.personalizeCase === 'title' ? this.titleCase(String(value)) : String(value);
+            });
+        },
+
+        fillTemplate(template, tokens) {
+            return template.replace(/\{(\w+)\}/g, (match, key) => tokens[key] !== undefined ? tokens[key] : match);
+        },
+
+        applyTitle(tokens) {
+            if (!this.config.titleTemplate) return;
+            document.title = this.fillTemplate(this.config.titleTemplate, tokens);
+        },
+
+        applyStructuredData(tokens) {
+            $$('script[type="application/ld+json"]').forEach(script => {
+                try {
+                    const data = JSON.parse(script.textContent);
+                    if (!data.areaServed) return;
+
+                    data.areaServed = {
+                        '@type': 'City',
+                        name: tokens.region ? `${tokens.city}, ${tokens.region}` : tokens.city
+                    };
+                    script.textContent = JSON.stringify(data, null, 4);
+                } catch (error) {
+                    warn('Could not update structured data:', error);
+                }
+            });
+        },
+
+        getEventParams() {
+            if (!this.variant) return {};
+
+            return {
+                page_city: this.city,
+                page_niche: this.niche,
+                page_variant: this.variant
+            };
+        }
+    };
+
+    // ===== EXPERIMENTS (A/B TESTS) =====
+    // Definitions come from #experiments-config (inline, or fetched from its data-src).
+    // Each visitor gets a sticky variant by hashing a stored visitor id with the
+    // experiment id. Variant "changes" are keyed by data-experiment-slot and swap
+    // text and attributes; the <head> snippet keeps those elements hidden until then.
+    const Experiments = {
+        experiments: [],
+        assignments: {},
+        overrides: {},
+        visitorId: null,
+        visitorKey: 'visitor-id',
+        ready: null,
+
+        init() {
+            this.visitorId = this.getVisitorId();
+            Consent.onChange(() => this.storeVisitorId(this.visitorId));
+
+            Analytics.addContext(() => this.getEventParams());
+            FormHandler.addFields('experiments', () => this.getEventParams());
+
+            this.ready = this.load()
+                .then(experiments => {
+                    this.experiments = experiments.filter(experiment => this.isValid(experiment));
+                    this.applyOverrides();
+                    this.experiments.forEach(experiment => {
+                        this.assignments[experiment.id] = this.assign(experiment);
+                    });
+                    this.experiments.forEach(experiment => this.run(experiment));
+                    log('Experiments applied:', this.assignments);
+                })
+                .catch(error => warn('Experiments failed to load:', error))
+                .finally(() => document.documentElement.classList.remove('exp-pending'));
+        },
+
+        async load() {
+            const el = document.getElementById('experiments-config');
+            if (!el) return [];
+
+            let config = readJSONConfig('experiments-config') || {};
+            if (el.dataset.src) {
+                const response = await fetch(el.dataset.src, { credentials: 'same-origin' });
+                if (!response.ok) throw new Error(`HTTP ${response.status} for ${el.dataset.src}`);
+                config = await response.json();
+            }
+
+            return Array.isArray(config.experiments) ? config.experiments : [];
+        },
+
+        isValid(experiment) {
+            if (!experiment || !experiment.id || !Array.isArray(experiment.variants) || experiment.variants.length === 0) {
+                warn('Skipping malformed experiment:', experiment);
+                return false;
+            }
+            return experiment.active !== false;
+        },
+
+        // The id only outlives the tab once analytics consent is granted; until then
+        // (or after it is withdrawn) it lives in sessionStorage
+        getVisitorId() {
+            const visitorId = storage.get(this.visitorKey) || storage.get(this.visitorKey, null, 'session') || uid();
+            this.storeVisitorId(visitorId);
+            return visitorId;
+        },
+
+        storeVisitorId(visitorId) {
+            if (Consent.has('analytics')) {
+                storage.set(this.visitorKey, visitorId);
+                storage.remove(this.visitorKey, 'session');
+            } else {
+                storage.set(this.visitorKey, visitorId, 'session');
+                storage.remove(this.visitorKey);
+            }
+        },
+
+        // ?exp=hero_headline:empty_chairs,hero_cta:control pins variants for this tab; ?exp=reset clears
+        getOverrides() {
+            const param = new URLSearchParams(window.location.search).get('exp');
+            let overrides = storage.get('experiment-overrides', {}, 'session');
+
+            if (param === 'reset') {
+                storage.remove('experiment-overrides', 'session');
+                return {};
+            }
+
+            if (param) {
+                param.split(',').forEach(pair => {
+                    const [experimentId, variantId] = pair.split(':').map(part => part.trim());
+                    if (experimentId && variantId) overrides[experimentId] = variantId;
+                });
+                storage.set('experiment-overrides', overrides, 'session');
+            }
+
+            return overrides;
+        },
+
+        applyOverrides() {
+            this.overrides = {};
+            Object.entries(this.getOverrides()).forEach(([experimentId, variantId]) => {
+                const experiment = this.experiments.find(item => item.id === experimentId);
+                if (experiment && experiment.variants.some(variant => variant.id === variantId)) {
+                    this.overrides[experimentId] = variantId;
+                } else {
+                    warn(`Unknown experiment override "${experimentId}:${variantId}", ignoring`);
+                }
+            });
+        },
+
+        assign(experiment) {
+            if (this.overrides[experiment.id]) return this.overrides[experiment.id];
+
+            const weightOf = variant => (typeof variant.weight === 'number' && variant.weight > 0 ? variant.weight : 1);
+            const total = experiment.variants.reduce((sum, variant) => sum + weightOf(variant), 0);
+            const point = (parseInt(hashString(`${this.visitorId}:${experiment.id}`), 36) % 10000) / 10000 * total;
+
+            let cumulative = 0;
+            const chosen = experiment.variants.find(variant => {
+                cumulative += weightOf(variant);
+                return point < cumulative;
+            });
+
+            return (chosen || experiment.variants[0]).id;
+        },
+
+        run(experiment) {
+            const variantId = this.assignments[experiment.id];
+            const variant = experiment.variants.find(item => item.id === variantId);
+
+            const elements = $$(`[data-experiment="${experiment.id}"]`);
+            elements.forEach(el => this.applyChange(el, variant.changes && variant.changes[el.dataset.experimentSlot || experiment.id]));
+            elements.forEach(el => { el.dataset.experimentVariant = variantId; });
+
+            if (elements.length > 0) {
+                Analytics.trackExperimentImpression(experiment.id, variantId, Boolean(this.overrides[experiment.id]));
+            }
+        },
+
+        applyChange(el, change) {
+            if (!change) return;
+
+            if (typeof change.text === 'string') {
+                const text = Personalization.config
+                    ? Personalization.fillTemplate(change.text, Personalization.getTokens())
+                    : change.text;
+                setText(el, text);
+            }
+
+            Object.entries(change.attrs || {}).forEach(([name, value]) => {
+                if (value === null) {
+                    el.removeAttribute(name);
+                } else {
+                    el.setAttribute(name, value);
+                }
+            });
+        },
+
+        getVariant(experimentId) {
+            return this.assignments[experimentId] || null;
+        },
+
+        getEventParams() {
+            const pairs = Object.entries(this.assignments).map(([experimentId, variantId]) => `${experimentId}:${variantId}`);
+            return pairs.length > 0 ? { experiment_variants: pairs.join(',') } : {};
+        }
+    };
+
+    // ===== OFFER (SCARCITY + COUNTDOWN) =====
+    // Renders "X of 5 spots left" and a live countdown from #offer-config. endsAt
+    // is an absolute instant (ISO with offset); the deadline is shown in the
+    // visitor's own time zone; leave out totalSlots for a date-only offer. Once it
+    // passes or slots run out, the sale banner switches to its
+    // [data-offer-show="ended"] content or is hidden entirely.
+    const Offer = {
+        config: null,
+        endsAt: null,
+        state: null,
+        timer: null,
+
+        init() {
+            this.config = readJSONConfig('offer-config');
+            if (!this.config) {
+                log('Offer config not found');
+                return;
+            }
+
+            this.endsAt = this.parseDeadline(this.config.endsAt);
+            this.renderSlots();
+            this.renderDeadline();
+            this.update();
+
+            if (this.state === 'active' && this.endsAt) {
+                this.timer = setInterval(() => this.update(), 1000);
+            }
+
+            FormHandler.addFields('offer', () => this.getFields());
+            log('Offer initialized:', this.state, this.getSlotsLeft());
+        },
+
+        parseDeadline(value) {
+            if (!value) return null;
+
+            if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(value)) {
+                warn(`Offer endsAt "${value}" has no UTC offset; add one (e.g. -06:00) so the deadline is unambiguous`);
+            }
+
+            const date = new Date(value);
+            if (isNaN(date.getTime())) {
+                warn(`Invalid offer endsAt "${value}", countdown disabled`);
+                return null;
+            }
+            return date;
+        },
+
+        // null when the offer has no totalSlots: endsAt alone decides when it ends
+        getSlotsLeft() {
+            if (this.config.totalSlots === undefined || this.config.totalSlots === null) return null;
+
+            const total = Number(this.config.totalSlots) || 0;
+            const taken = Number(this.config.slotsTaken) || 0;
+            return Math.max(0, total - taken);
+        },
+
+        getState() {
+            if (!this.config) return null;
+            if (this.getSlotsLeft() === 0) return 'sold_out';
+            if (this.endsAt && Date.now() >= this.endsAt.getTime()) return 'expired';
+            return 'active';
+        },
+
+        isActive() {
+            return !this.config || this.getState() === 'active';
+        },
+
+        renderSlots() {
+            const left = this.getSlotsLeft();
+            if (left === null) return;
+
+            const total = Number(this.config.totalSlots) || 0;
+
+            $$('[data-offer="total"]').forEach(el => { el.textContent = I18n.formatNumber(total); });
+            $$('[data-offer="slots"]').forEach(el => {
+                el.textContent = left === 0
+                    ? I18n.t('offer.soldOut', { count: total })
+                    : I18n.t('offer.slotsLeft', { left: left, count: total });
+                el.hidden = false;
+            });
+        },
+
+        renderDeadline() {
+            if (!this.endsAt) return;
+
+            const formatted = I18n.formatDate(this.endsAt, {
+                weekday: 'short',
+                month: 'short',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: '2-digit',
+                timeZoneName: 'short'
+            });
+            $$('[data-offer="deadline"]').forEach(el => {
+                el.textContent = I18n.t('offer.deadline', { date: formatted });
+            });
+            $$('[data-offer="countdown"]').forEach(el => {
+                const container = el.closest('[data-offer-show]');
+                if (container) container.hidden = false;
+            });
+        },
+
+        formatRemaining(ms) {
+            const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+            const days = Math.floor(totalSeconds / 86400);
+            const pad = (value) => I18n.formatNumber(value, { minimumIntegerDigits: 2 });
+            const time = I18n.t('offer.countdown', {
+                hours: pad(Math.floor(totalSeconds / 3600) % 24),
+                minutes: pad(Math.floor(totalSeconds / 60) % 60),
+                seconds: pad(totalSeconds % 60)
+            });
+
+            return days > 0 ? I18n.t('offer.countdownDays', { days: days, time: time }) : time;
+        },
+
+        update() {
+            const state = this.getState();
+
+            if (state === 'active' && this.endsAt) {
+                const remaining = this.formatRemaining(this.endsAt.getTime() - Date.now());
+                $$('[data-offer="countdown"]').forEach(el => { el.textContent = remaining; });
+            }
+
+            if (state !== this.state) {
+                this.state = state;
+                if (state !== 'active') this.end();
+            }
+        },
+
+        end() {
+            clearInterval(this.timer);
+            this.timer = null;
+
+            const sale = document.getElementById('sale');
+            if (sale && this.config.whenEnded === 'hide') {
+                sale.hidden = true;
+            } else {
+                $$('[data-offer-show]').forEach(el => {
+                    el.hidden = el.dataset.offerShow !== 'ended';
+                });
+            }
+
+            log('Offer ended:', this.state);
+        },
+
+        getFields() {
+            if (!this.config) return {};
+
+            return {
+                offer_id: this.config.id || 'default',
+                offer_state: this.getState(),
+                slots_left: this.getSlotsLeft()
+            };
+        }
+    };
+
+    // ===== SUBMISSION QUEUE (OFFLINE-SAFE RETRIES) =====
+    // Submissions that fail on the network or with a 5xx are kept in localStorage
+    // and retried with exponential backoff, on the `online` event and on the next
+    // page load. Each submit gets its own idempotency key, reused by that attempt's
+    // retries, so a queued lead is never delivered twice (even from two tabs) while
+    // the same details submitted again later still go out. Secondary lead
+    // destinations queue under "<id>:<destination>" and never count as a conversion.
+    const SubmissionQueue = {
+        storageKey: 'submission-queue',
+        sentKey: 'submission-sent',
+        items: [],
+        retryTimer: null,
+        isFlushing: false,
+
+        init() {
+            this.sync();
+            window.addEventListener('online', () => this.flush());
+
+            if (this.items.length > 0) {
+                log('Pending submissions found:', this.items.length);
+                this.flush();
+            }
+
+            log('Submission queue initialized');
+        },
+
+        read() {
+            const items = storage.get(this.storageKey, []);
+            return Array.isArray(items) ? items : [];
+        },
+
+        // Merge with storage (other tabs may have queued or delivered items) and drop expired ones
+        sync() {
+            const stored = this.read();
+            const merged = stored.concat(this.items.filter(item => !stored.some(other => other.id === item.id)));
+            const now = Date.now();
+
+            this.items = merged.filter(item => {
+                const expired = now - item.createdAt > CONFIG.QUEUE_MAX_AGE;
+                if (expired) Analytics.trackSubmissionRetry('expired', item);
+                return !expired;
+            });
+            this.write();
+        },
+
+        write() {
+            storage.set(this.storageKey, this.items);
+        },
+
+        // The content hash groups resubmissions of the same details; the suffix makes each submit unique
+        createKey(formData) {
+            const entries = this.serialize(formData)
+                .filter(([name]) => name !== 'submission_id')
+                .sort((a, b) => a[0].localeCompare(b[0]));
+            return `sub_${hashString(JSON.stringify(entries))}_${uid()}`;
+        },
+
+        // FormData is not storable; keep string entries only (no file uploads on this form)
+        serialize(formData) {
+            return Array.from(formData.entries()).filter(([, value]) => typeof value === 'string');
+        },
+
+        deserialize(entries) {
+            const formData = new FormData();
+            entries.forEach(([name, value]) => formData.append(name, value));
+            return formData;
+        },
+
+        has(id) {
+            return this.items.some(item => item.id === id);
+        },
+
+        wasSent(id) {
+            return storage.get(this.sentKey, []).includes(id);
+        },
+
+        markSent(id) {
+            const sent = storage.get(this.sentKey, []).filter(sentId => sentId !== id);
+            sent.push(id);
+            storage.set(this.sentKey, sent.slice(-20));
+        },
+
+        async request(endpoint, body, headers = {}) {
+            const controller = typeof AbortController === 'function' ? new AbortController() : null;
+            const timer = controller && setTimeout(() => controller.abort(), CONFIG.SUBMIT_TIMEOUT);
+
+            try {
+                const response = await fetch(endpoint, {
+                    method: 'POST',
+                    body: body,
+                    headers: {
+                        'Accept': 'application/json',
+                        ...headers
+                    },
+                    signal: controller ? controller.signal : undefined
+                });
+
+                if (!response.ok) {
+                    const error = new Error(`Server responded with ${response.status}`);
+                    error.status = response.status;
+                    throw error;
+                }
+
+                return response;
+            } finally {
+                clearTimeout(timer);
+            }
+        },
+
+        // Network errors, timeouts, 5xx and rate limiting are worth retrying; other 4xx are not
+        isRetryable(error) {
+            return !error.status || error.status >= 500 || error.status === 408 || error.status === 429;
+        },
+
+        // body is FormData (stored as entries) or a JSON string
+        enqueue(id, endpoint, formId, body, { headers = {}, destination = 'formspree', primary = true } = {}) {
+            if (this.has(id)) return;
+
+            const item = {
+                id: id,
+                endpoint: endpoint,
+                formId: formId,
+                destination: destination,
+                primary: primary,
+                headers: headers,
+                attempts: 0,
+                createdAt: Date.now(),
+                nextAttemptAt: Date.now() + this.backoffDelay(0)
+            };
+
+            if (typeof body === 'string') {
+                item.body = body;
+            } else {
+                item.entries = this.serialize(body);
+            }
+
+            this.items.push(item);
+            this.write();
+            Analytics.trackSubmissionRetry('queued', item);
+            log('Submission queued for retry:', id);
+            this.scheduleRetry();
+            OfflineSupport.requestSync();
+        },
+
+        backoffDelay(attempts) {
+            const delay = Math.min(CONFIG.RETRY_BASE_DELAY * Math.pow(2, attempts), CONFIG.RETRY_MAX_DELAY);
+            return Math.round(delay * (0.8 + Math.random() * 0.4));
+        },
+
+        scheduleRetry() {
+            clearTimeout(this.retryTimer);
+            if (this.items.length === 0) return;
+
+            const nextAt = Math.min(...this.items.map(item => item.nextAttemptAt));
+            this.retryTimer = setTimeout(() => this.flush(), Math.max(0, nextAt - Date.now()));
+        },
+
+        async flush() {
+            if (this.isFlushing || this.items.length === 0) return;
+            if (navigator.onLine === false) {
+                log('Offline, waiting for online event');
+                return;
+            }
+
+            this.isFlushing = true;
+            clearTimeout(this.retryTimer);
+
+            this.sync();
+            const due = this.items.filter(item => item.nextAttemptAt <= Date.now());
+
+            for (const item of due) {
+                await this.attempt(item);
+            }
+
+            this.write();
+            this.isFlushing = false;
+            this.scheduleRetry();
+        },
+
+        async attempt(item) {
+            item.attempts += 1;
+
+            if (this.wasSent(item.id)) {
+                this.remove(item);
+                return;
+            }
+
+            try {
+                await this.request(item.endpoint, item.entries ? this.deserialize(item.entries) : item.body, item.headers);
+                this.remove(item);
+                this.markSent(item.id);
+                Analytics.trackSubmissionRetry('success', item);
+                // Items queued before destinations existed have no primary flag
+                if (item.primary !== false) Analytics.trackFormSubmit(item.formId, 'formspree_retry', item.id);
+                log('Queued submission delivered:', item.id);
+            } catch (error) {
+                if (!this.isRetryable(error)) {
+                    this.remove(item);
+                    Analytics.trackSubmissionRetry('rejected', item);
+                    warn('Queued submission rejected:', error);
+                } else if (item.attempts >= CONFIG.RETRY_MAX_ATTEMPTS) {
+                    this.remove(item);
+                    Analytics.trackSubmissionRetry('dropped', item);
+                    warn('Queued submission dropped after max attempts:', item.id);
+                } else {
+                    item.nextAttemptAt = Date.now() + this.backoffDelay(item.attempts);
+                    Analytics.trackSubmissionRetry('failed', item);
+                    log('Retry failed, next attempt scheduled:', item.id, error);
+                }
+            }
+        },
+
+        remove(item) {
+            this.items = this.items.filter(queued => queued.id !== item.id);
+        }
+    };
+
+    // ===== VALIDATOR =====
+    // Rules come from markup: required / aria-required, type="email",
+    // type="url" or data-validate="url", minlength and pattern. Copy comes from
+    // the validation.* keys in I18N_CATALOGS; setMessages overrides a rule's copy
+    // site-wide and data-msg-<rule> overrides it for a single field.
+    const Validator = {
+        messages: {},
+        emailDomains: [
+            'gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'icloud.com',
+            'aol.com', 'live.com', 'msn.com', 'me.com', 'comcast.net', 'att.net', 'verizon.net'
+        ],
+        dirty: new WeakSet(),
+
+        setMessages(messages) {
+            Object.assign(this.messages, messages);
+        },
+
+        // Validates on blur once a field has been typed in, then live while it shows an error
+        attach(form) {
+            form.addEventListener('input', (e) => {
+                const field = e.target;
+                this.dirty.add(field);
+                if (field.getAttribute('aria-invalid') === 'true') this.validateField(field, { normalize: false });
+            });
+
+            form.addEventListener('change', (e) => {
+                if (e.target.tagName === 'SELECT') this.validateField(e.target);
+            });
+
+            form.addEventListener('focusout', (e) => {
+                const field = e.target;
+                if (!this.hasRules(field)) return;
+                if (this.dirty.has(field) || field.getAttribute('aria-invalid') === 'true') this.validateField(field);
+            });
+        },
+
+        hasRules(field) {
+            if (!field || !field.matches || !field.matches('input, select, textarea') || field.disabled) return false;
+            if (['hidden', 'submit', 'button'].includes(field.type) || field.name === '_gotcha') return false;
+
+            return field.required || field.getAttribute('aria-required') === 'true' ||
+                ['email', 'url'].includes(field.type) || Boolean(field.dataset.validate) ||
+                field.hasAttribute('minlength') || field.hasAttribute('pattern');
+        },
+
+        fieldsIn(container) {
+            return $$('input, select, textarea', container).filter(field => this.hasRules(field));
+        },
+
+        message(rule, field, params = {}) {
+            const key = 'msg' + rule.charAt(0).toUpperCase() + rule.slice(1);
+            const template = field.dataset[key] || this.messages[rule] || I18n.t(`validation.${rule}`);
+            return template.replace(/\{(\w+)\}/g, (match, name) => {
+                if (params[name] === undefined) return match;
+                return typeof params[name] === 'number' ? I18n.formatNumber(params[name]) : params[name];
+            });
+        },
+
+        isUrlField(field) {
+            return field.type === 'url' || (field.dataset.validate || '').split(/\s+/).includes('url');
+        },
+
+        // Returns { rule, message } for the first failing rule, or null when the value passes
+        check(field) {
+            const value = field.value.trim();
+            const isRequired = field.required || field.getAttribute('aria-required') === 'true';
+
+            if (!value) {
+                return isRequired ? { rule: 'required', message: this.message('required', field) } : null;
+            }
+
+            if ((field.type === 'email' || field.dataset.validate === 'email') && !this.isValidEmail(value)) {
+                return { rule: 'email', message: this.message('email', field) };
+            }
+
+            if (this.isUrlField(field) && !this.normalizeUrl(value)) {
+                return { rule: 'url', message: this.message('url', field) };
+            }
+
+            const minlength = parseInt(field.getAttribute('minlength'), 10);
+            if (minlength && value.length < minlength) {
+                return { rule: 'minlength', message: this.message('minlength', field, { minlength: minlength }) };
+            }
+
+            const pattern = field.getAttribute('pattern');
+            if (pattern) {
+                try {
+                    if (!new RegExp(`^(?:${pattern})$`, 'u').test(value)) {
+                        return { rule: 'pattern', message: this.message('pattern', field) };
+                    }
+                } catch (error) {
+                    warn(`Invalid pattern on #${field.id}:`, error);
+                }
+            }
+
+            return null;
+        },
+
+        validateField(field, { normalize = true } = {}) {
+            if (normalize && this.isUrlField(field) && field.value.trim()) {
+                const url = this.normalizeUrl(field.value.trim());
+                if (url) field.value = url;
+            }
+
+            const error = this.check(field);
+            const errorSpan = $(`#${field.id}-error`) || this.createErrorSpan(field);
+
+            field.setAttribute('aria-invalid', error ? 'true' : 'false');
+            errorSpan.textContent = error ? error.message : '';
+            errorSpan.style.display = error ? 'block' : 'none';
+
+            if (field.type === 'email') this.showEmailSuggestion(field, error ? null : this.suggestEmail(field.value.trim()));
+
+            return !error;
+        },
+
+        validateAll(fields) {
+            return fields.reduce((isValid, field) => this.validateField(field) && isValid, true);
+        },
+
+        focusFirstInvalid(container) {
+            const invalid = $('[aria-invalid="true"]', container);
+            if (invalid) invalid.focus();
+            return invalid;
+        },
+
+        isValidEmail(email) {
+            return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(email);
+        },
+
+        // "yourpractice.com" -> "https://yourpractice.com"; null when it is not a plausible website
+        normalizeUrl(value) {
+            const withScheme = /^[a-z][a-z\d+.-]*:\/\//i.test(value) ? value : `https://${value.replace(/^\/+/, '')}`;
+
+            try {
+                const url = new URL(withScheme);
+                if (!['http:', 'https:'].includes(url.protocol) || !/\.[a-z]{2,}$/i.test(url.hostname)) return null;
+                return withScheme;
+            } catch (error) {
+                return null;
+            }
+        },
+
+        suggestEmail(email) {
+            const at = email.lastIndexOf('@');
+            if (at < 1) return null;
+
+            const domain = email.slice(at + 1).toLowerCase();
+            if (this.emailDomains.includes(domain)) return null;
+
+            const match = this.emailDomains
+                .map(candidate => ({ candidate, distance: this.distance(domain, candidate) }))
+                .filter(item => item.distance > 0 && item.distance <= 2)
+                .sort((a, b) => a.distance - b.distance)[0];
+
+            return match ? `${email.slice(0, at)}@${match.candidate}` : null;
+        },
+
+        // Levenshtein distance, small inputs only
+        distance(a, b) {
+            const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+            for (let i = 1; i <= a.length; i++) {
+                let previous = row[0];
+                row[0] = i;
+                for (let j = 1; j <= b.length; j++) {
+                    const current = row[j];
+                    row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+                    previous = current;
+                }
+            }
+            return row[b.length];
+        },
+
+        // Non-blocking hint under an email field; clicking the suggestion applies it
+        showEmailSuggestion(field, suggestion) {
+            let hint = $(`#${field.id}-hint`);
+
+            if (!suggestion) {
+                if (hint) hint.hidden = true;
+                return;
+            }
+
+            if (!hint) {
+                hint = document.createElement('span');
+                hint.id = `${field.id}-hint`;
+                hint.className = 'form-hint';
+                hint.setAttribute('aria-live', 'polite');
+                field.parentNode.appendChild(hint);
+                field.setAttribute('aria-describedby', `${field.getAttribute('aria-describedby') || ''} ${hint.id}`.trim());
+            }
+
+            const [before, after = ''] = this.message('emailSuggestion', field).split('{suggestion}');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'form-hint__action';
+            button.textContent = suggestion;
+            button.addEventListener('click', () => {
+                field.value = suggestion;
+                field.dispatchEvent(new Event('input', { bubbles: true }));
+                this.validateField(field);
+                field.focus();
+            });
+
+            hint.replaceChildren(document.createTextNode(before), button, document.createTextNode(after));
+            hint.hidden = false;
+        },
+
+        createErrorSpan(field) {
+            const span = document.createElement('span');
+            span.id = `${field.id}-error`;
+            span.className = 'error-message';
+            span.setAttribute('role', 'alert');
+            field.parentNode.appendChild(span);
+            return span;
+        }
+    };
+
+    // ===== SPAM GUARD =====
+    // Cheap, invisible bot checks run on every submission: the _gotcha honeypot,
+    // time since the form was rendered, whether any real pointer/keyboard/input
+    // event happened, a per-browser rate limit and an optional challenge token.
+    // A filled honeypot is always dropped; other flags follow CONFIG.SPAM_ACTION.
+    // Nothing here adds UI, so keyboard and screen-reader users are unaffected.
+    const SpamGuard = {
+        renderedAt: new WeakMap(),
+        interacted: new WeakSet(),
+        challengeProvider: null,
+        storageKey: 'submit-log',
+
+        protect(form) {
+            if (this.renderedAt.has(form)) return;
+            this.renderedAt.set(form, Date.now());
+
+            // Screen readers fire click/input rather than pointer events, so all of them count
+            const markInteracted = () => this.interacted.add(form);
+            ['pointerdown', 'touchstart', 'keydown', 'click', 'input'].forEach(type => {
+                form.addEventListener(type, markInteracted, { once: true, passive: true });
+            });
+        },
+
+        // Page code submitting on the visitor's behalf (ArmanLeads.submitLead) counts as interaction;
+        // the rate limit and challenge still apply
+        vouch(form) {
+            this.interacted.add(form);
+        },
+
+        // provider: { name, fieldName, getToken(form) => Promise<string> } (e.g. Turnstile, hCaptcha)
+        setChallengeProvider(provider) {
+            this.challengeProvider = provider;
+        },
+
+        recentSubmits() {
+            const cutoff = Date.now() - CONFIG.SPAM_RATE_WINDOW;
+            return storage.get(this.storageKey, []).filter(timestamp => timestamp > cutoff);
+        },
+
+        record() {
+            storage.set(this.storageKey, [...this.recentSubmits(), Date.now()]);
+        },
+
+        async getChallengeToken(form) {
+            const provider = this.challengeProvider;
+            let timer = null;
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error('Challenge timed out')), CONFIG.SPAM_CHALLENGE_TIMEOUT);
+            });
+
+            try {
+                return await Promise.race([Promise.resolve().then(() => provider.getToken(form)), timeout]);
+            } finally {
+                clearTimeout(timer);
+            }
+        },
+
+        // Adds spam_flags / the challenge token to formData; resolves to 'send' or 'drop'
+        async inspect(form, formData) {
+            const flags = [];
+
+            if (String(formData.get('_gotcha') || '').trim()) flags.push('honeypot');
+
+            const renderedAt = this.renderedAt.get(form);
+            if (renderedAt && Date.now() - renderedAt < CONFIG.SPAM_MIN_SUBMIT_TIME) flags.push('too_fast');
+
+            if (!this.interacted.has(form)) flags.push('no_interaction');
+
+            if (this.recentSubmits().length >= CONFIG.SPAM_RATE_LIMIT) flags.push('rate_limited');
+
+            if (this.challengeProvider) {
+                try {
+                    const token = await this.getChallengeToken(form);
+                    formData.set(this.challengeProvider.fieldName || 'challenge_token', token);
+                } catch (error) {
+                    warn(`Challenge provider ${this.challengeProvider.name || ''} failed:`, error);
+                    flags.push('challenge_failed');
+                }
+            }
+
+            if (flags.length === 0) return 'send';
+
+            const action = flags.includes('honeypot') || CONFIG.SPAM_ACTION === 'drop' ? 'drop' : 'send';
+            if (action === 'send') formData.set('spam_flags', flags.join(','));
+
+            Analytics.trackSpam(form.id, flags, action === 'drop' ? 'dropped' : 'flagged');
+            log('SpamGuard:', flags, action);
+            return action;
+        }
+    };
+
+    // ===== LEAD DESTINATIONS =====
+    // Adapters that turn a lead object into a request for SubmissionQueue.request:
+    //   request(lead, settings) => { body, headers }
+    // formspree posts flat form fields (the same names the form has always posted);
+    // webhook posts the whole lead as JSON; crm posts a flat JSON record built from
+    // settings.map (or defaultMap). Any destination can set map to send only
+    // { outputName: 'lead.path' } pairs, e.g. { "Company": "fields.practice" }.
+    const LeadDestinations = {
+        formspree: {
+            request(lead, settings) {
+                const values = settings.map ? LeadPipeline.pick(lead, settings.map) : LeadPipeline.flatten(lead);
+                const formData = new FormData();
+                Object.keys(values).forEach(name => {
+                    [].concat(values[name]).forEach(value => formData.append(name, String(value)));
+                });
+                return { body: formData, headers: {} };
+            }
+        },
+
+        webhook: {
+            request(lead, settings) {
+                const payload = settings.map ? LeadPipeline.pick(lead, settings.map) : lead;
+                return {
+                    body: JSON.stringify(payload),
+                    headers: { 'Content-Type': 'application/json' }
+                };
+            }
+        },
+
+        crm: {
+            defaultMap: {
+                external_id: 'id',
+                name: 'fields.name',
+                email: 'fields.email',
+                company: 'fields.practice',
+                website: 'fields.website',
+                lead_source: 'source',
+                utm_source: 'context.attribution.last_touch_source',
+                utm_medium: 'context.attribution.last_touch_medium',
+                utm_campaign: 'context.attribution.last_touch_campaign',
+                created_at: 'created_at'
+            },
+
+            request(lead, settings) {
+                return {
+                    body: JSON.stringify(LeadPipeline.pick(lead, settings.map || this.defaultMap)),
+                    headers: { 'Content-Type': 'application/json' }
+                };
+            }
+        }
+    };
+
+    // ===== LEAD PIPELINE =====
+    // Every submission becomes one versioned lead object, sent to each destination
+    // in CONFIG.LEAD_DESTINATIONS. The primary destination decides what the visitor
+    // sees; the others are sent in the background and retried by SubmissionQueue.
+    //
+    // Lead object (schema_version 1). Add fields here only; renaming or removing one
+    // needs a new schema_version so receivers can tell the shapes apart.
+    //   schema_version  1
+    //   id              submission id (idempotency key, also "submission_id" for Formspree)
+    //   source          id of the form it came from: mainForm, exitIntentForm, api-lead
+    //   created_at      ISO timestamp when the visitor submitted
+    //   page            { url, path, title, referrer }
+    //   fields          what the visitor typed, by input name (checkbox groups are arrays)
+    //   context         one object per FormHandler.addFields provider: attribution,
+    //                   variant, experiments, offer, roi, language
+    //   meta            SpamGuard output: spam_flags, challenge token
+    const LeadPipeline = {
+        schemaVersion: 1,
+
+        init() {
+            const destinations = CONFIG.LEAD_DESTINATIONS.filter(settings => settings.enabled !== false);
+            destinations.forEach(settings => {
+                if (!LeadDestinations[settings.type]) warn(`Unknown lead destination type "${settings.type}"`);
+            });
+
+            log('Lead destinations:', destinations.map(settings => settings.name || settings.type).join(', '));
+        },
+
+        // formData is the posted FormData after SpamGuard; anything the form itself
+        // does not define (spam_flags, challenge token) lands in meta
+        build(form, formData, submissionId) {
+            const formFields = new Set(Array.from(new FormData(form).keys()));
+            const fields = {};
+            const meta = {};
+
+            SubmissionQueue.serialize(formData).forEach(([name, value]) => {
+                if (name === '_gotcha' || name === 'submission_id') return;
+
+                const target = formFields.has(name) ? fields : meta;
+                target[name] = target[name] === undefined ? value : [].concat(target[name], value);
+            });
+
+            // Checkbox groups are always arrays, even with a single box ticked
+            $$('input[type="checkbox"]', form).forEach(box => {
+                if (box.name && fields[box.name] !== undefined) fields[box.name] = [].concat(fields[box.name]);
+            });
+
+            return {
+                schema_version: this.schemaVersion,
+                id: submissionId,
+                source: form.id || 'form',
+                created_at: new Date().toISOString(),
+                page: {
+                    url: location.href,
+                    path: location.pathname,
+                    title: document.title,
+                    referrer: document.referrer || null
+                },
+                fields: fields,
+                context: FormHandler.getFieldGroups(),
+                meta: meta
+            };
+        },
+
+        // The flat name -> value shape Formspree has always received
+        flatten(lead) {
+            const context = Object.keys(lead.context).reduce((all, name) => ({ ...all, ...lead.context[name] }), {});
+            return { ...lead.fields, submission_id: lead.id, ...context, ...lead.meta };
+        },
+
+        pick(lead, map) {
+            return Object.keys(map).reduce((record, outputName) => {
+                const value = String(map[outputName]).split('.').reduce((node, key) =>
+                    (node === undefined || node === null ? undefined : node[key]), lead);
+
+                if (value !== undefined && value !== null && value !== '') record[outputName] = value;
+                return record;
+            }, {});
+        },
+
+        // Formspree without an endpoint posts to the form's own action
+        destinations(form) {
+            const enabled = CONFIG.LEAD_DESTINATIONS.filter(settings =>
+                settings.enabled !== false && LeadDestinations[settings.type]);
+            const primary = enabled.find(settings => settings.primary) || enabled[0];
+
+            return enabled.map(settings => ({
+                name: settings.name || settings.type,
+                primary: settings === primary,
+                endpoint: settings.endpoint || (settings.type === 'formspree'
+                    ? form.getAttribute('action') || CONFIG.FORMSPREE_ENDPOINT
+                    : ''),
+                settings: settings
+            })).filter(destination => destination.endpoint);
+        },
+
+        // Resolves to 'sent', 'queued' or 'failed' for the primary destination
+        async send(form, lead) {
+            const destinations = this.destinations(form);
+            const primary = destinations.find(destination => destination.primary);
+            if (!primary) {
+                warn('No lead destination configured');
+                return 'failed';
+            }
+
+            const status = await this.deliverTo(primary, form, lead);
+
+            // A rejected lead is shown as an error and may be resubmitted, so only
+            // fan out once the primary has it (or will get it from the queue)
+            if (status !== 'failed') {
+                destinations.filter(destination => !destination.primary).forEach(destination => {
+                    this.deliverTo(destination, form, lead)
+                        .catch(error => warn(`Lead delivery to ${destination.name} failed:`, error));
+                });
+            }
+
+            return status;
+        },
+
+        // The primary keeps the plain submission id so existing queue/sent checks apply
+        async deliverTo(destination, form, lead) {
+            const id = destination.primary ? lead.id : `${lead.id}:${destination.name}`;
+            if (SubmissionQueue.wasSent(id)) return 'sent';
+            if (SubmissionQueue.has(id)) return 'queued';
+
+            let body, headers;
+
+            try {
+                // A throwing adapter counts as a failed delivery, not an unhandled rejection
+                ({ body, headers } = LeadDestinations[destination.settings.type].request(lead, destination.settings));
+                await SubmissionQueue.request(destination.endpoint, body, headers);
+                SubmissionQueue.markSent(id);
+                if (!destination.primary) log(`Lead ${lead.id} sent to ${destination.name}`);
+                return 'sent';
+            } catch (error) {
+                warn(`Lead delivery to ${destination.name} failed:`, error);
+
+                // An adapter error leaves nothing to queue
+                if (body !== undefined && SubmissionQueue.isRetryable(error)) {
+                    SubmissionQueue.enqueue(id, destination.endpoint, form.id, body, {
+                        headers: headers,
+                        destination: destination.name,
+                        primary: destination.primary
+                    });
+                    return 'queued';
+                }
+
+                Monitoring.captureError(error, { module: 'form', status: error.status, destination: destination.name });
+                return 'failed';
+            }
+        },
+
+        // mailto: link carrying what the visitor typed, for the "email us" path on errors
+        mailtoHref(lead, form) {
+            const labelFor = (name) => {
+                const field = form && form.elements.namedItem(name);
+                const label = field && field.id ? $(`label[for="${field.id}"]`, form) : null;
+                return label ? label.textContent.replace(/\*/g, '').trim() : name;
+            };
+
+            // Array.from trims by code point, so an emoji is never cut in half (encodeURIComponent throws on that)
+            const fieldLines = Object.keys(lead.fields)
+                .filter(name => name !== 'lead_source' && String(lead.fields[name]).trim() !== '')
+                .map(name => `${labelFor(name)}: ${Array.from([].concat(lead.fields[name]).join(', ')).slice(0, 300).join('')}`);
+
+            // Mail clients truncate long mailto: URLs, so a line that would push the encoded
+            // body past 1800 characters is left out whole; the Ref line always stays
+            const footer = ['', `Ref: ${lead.id}`];
+            const lines = [];
+            fieldLines.forEach(line => {
+                if (encodeURIComponent([...lines, line, ...footer].join('\n')).length <= 1800) lines.push(line);
+            });
+
+            const subject = encodeURIComponent(I18n.t('form.mailtoSubject'));
+            const body = encodeURIComponent([...lines, ...footer].join('\n'));
+            return `mailto:${CONFIG.LEAD_FALLBACK_EMAIL}?subject=${subject}&body=${body}`;
+        }
+    };
+
+    // ===== FORM HANDLER =====
+    const FormHandler = {
+        form: null,
+        submitBtn: null,
+        messagesContainer: null,
+        draftNotice: null,
+        draftKey: 'form-draft',
+        fieldProviders: [],
+        submissionIds: new WeakMap(),
+        leads: new WeakMap(),
+        isSubmitting: false,
+
+        init() {
+            this.form = $('#mainForm');
+            if (!this.form) {
+                log('Main form not found');
+                return;
+            }
+
+            this.submitBtn = $('button[type="submit"]', this.form);
+            this.messagesContainer = $('#form-messages') || this.createMessagesContainer();
+
+            this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+            Validator.attach(this.form);
+            SpamGuard.protect(this.form);
+            this.initDraft();
+            log('Form handler initialized');
+        },
+
+        // ----- Draft autosave (sessionStorage, never the _gotcha honeypot) -----
+        initDraft() {
+            const save = debounce(() => this.saveDraft(), CONFIG.DRAFT_SAVE_DEBOUNCE);
+            this.form.addEventListener('input', save);
+            this.form.addEventListener('change', save);
+            this.restoreDraft();
+        },
+
+        draftFields() {
+            const skipTypes = ['hidden', 'password', 'file', 'submit', 'button'];
+            return $$('input, select, textarea', this.form).filter(field =>
+                field.name && field.name !== '_gotcha' && !skipTypes.includes(field.type));
+        },
+
+        saveDraft() {
+            const values = {};
+            let hasContent = false;
+
+            this.draftFields().forEach(field => {
+                if (field.type === 'checkbox' || field.type === 'radio') {
+                    values[field.name] = values[field.name] || [];
+                    if (field.checked) {
+                        values[field.name].push(field.value);
+                        hasContent = true;
+                    }
+                } else {
+                    values[field.name] = field.value;
+                    if (field.value.trim()) hasContent = true;
+                }
+            });
+
+            if (!hasContent) {
+                this.clearDraft();
+                return;
+            }
+
+            storage.set(this.draftKey, { savedAt: Date.now(), values: values }, 'session');
+        },
+
+        restoreDraft() {
+            const draft = storage.get(this.draftKey, null, 'session');
+            if (!draft || !draft.values) return;
+
+            if (Date.now() - draft.savedAt > CONFIG.DRAFT_EXPIRY) {
+                this.clearDraft();
+                return;
+            }
+
+            let restored = 0;
+            this.draftFields().forEach(field => {
+                const value = draft.values[field.name];
+                if (value === undefined) return;
+
+                if (field.type === 'checkbox' || field.type === 'radio') {
+                    field.checked = Array.isArray(value) && value.includes(field.value);
+                    if (field.checked) restored++;
+                } else if (typeof value === 'string' && value && !field.value) {
+                    field.value = value;
+                    restored++;
+                }
+            });
+
+            if (restored > 0) {
+                this.showDraftNotice();
+                log('Form draft restored:', restored, 'fields');
+            }
+        },
+
+        clearDraft() {
+            storage.remove(this.draftKey, 'session');
+        },
+
+        showDraftNotice() {
+            const notice = document.createElement('div');
+            notice.className = 'form-draft-notice';
+            notice.setAttribute('role', 'status');
+
+            const text = document.createElement('p');
+            text.textContent = I18n.t('form.draftRestored');
+
+            const startOver = document.createElement('button');
+            startOver.type = 'button';
+            startOver.className = 'form-draft-notice__action';
+            startOver.textContent = I18n.t('form.startOver');
+            startOver.addEventListener('click', () => {
+                this.form.reset();
+                this.clearDraft();
+                this.dismissDraftNotice(true);
+            });
+
+            const dismiss = document.createElement('button');
+            dismiss.type = 'button';
+            dismiss.className = 'form-draft-notice__dismiss';
+            dismiss.setAttribute('aria-label', I18n.t('form.dismissNotice'));
+            dismiss.textContent = '\u00d7';
+            dismiss.addEventListener('click', () => this.dismissDraftNotice(true));
+
+            notice.appendChild(text);
+            notice.appendChild(startOver);
+            notice.appendChild(dismiss);
+            this.form.parentNode.insertBefore(notice, this.form);
+            this.draftNotice = notice;
+        },
+
+        dismissDraftNotice(moveFocus = false) {
+            if (!this.draftNotice) return;
+
+            this.draftNotice.remove();
+            this.draftNotice = null;
+
+            // The focused button is gone; hand focus back to the form
+            if (moveFocus) {
+                const firstField = $('input:not([type="hidden"]):not([tabindex="-1"]), select, textarea', this.form);
+                if (firstField) firstField.focus();
+            }
+        },
+
+        createMessagesContainer() {
+            const div = document.createElement('div');
+            div.id = 'form-messages';
+            div.setAttribute('aria-live', 'polite');
+            div.setAttribute('aria-atomic', 'true');
+            div.className = 'form-messages';
+            this.form.appendChild(div);
+            return div;
+        },
+
+        async handleSubmit(e) {
+            e.preventDefault();
+
+            if (this.isSubmitting) return;
+
+            // In wizard mode Enter/submit on an earlier step just advances
+            if (FormWizard.isActive && !FormWizard.isLastStep()) {
+                FormWizard.next();
+                return;
+            }
+
+            // Basic validation
+            if (!this.validateForm()) {
+                if (FormWizard.isActive) {
+                    FormWizard.showFirstInvalidStep();
+                    return;
+                }
+                this.showMessage(I18n.t('form.invalid'), 'error');
+                Validator.focusFirstInvalid(this.form);
+                return;
+            }
+
+            this.isSubmitting = true;
+            this.setLoadingState(true);
+
+            try {
+                const result = await this.deliver(this.form);
+
+                if (result === 'sent' || result === 'dropped' || result === 'simulated') {
+                    this.handleSuccess(result);
+                } else if (result === 'queued') {
+                    this.handleQueued();
+                } else {
+                    this.handleError();
+                }
+            } catch (error) {
+                warn('Form submission failed:', error);
+                this.handleError();
+            } finally {
+                this.isSubmitting = false;
+                this.setLoadingState(false);
+            }
+        },
+
+        // Modules register named providers; each becomes lead.context[name] (and flat Formspree fields)
+        addFields(name, provider) {
+            this.fieldProviders.push({ name: name, provider: provider });
+        },
+
+        getFieldGroups() {
+            return this.fieldProviders.reduce((groups, entry) => {
+                try {
+                    const fields = entry.provider() || {};
+                    groups[entry.name] = Object.keys(fields).reduce((kept, key) => {
+                        if (fields[key] !== undefined && fields[key] !== null && fields[key] !== '') kept[key] = fields[key];
+                        return kept;
+                    }, {});
+                } catch (error) {
+                    warn(`Form fields from ${entry.name} failed:`, error);
+                }
+                return groups;
+            }, {});
+        },
+
+        // Resolves to 'sent', 'queued' (saved for automatic retry), 'dropped' (SpamGuard),
+        // 'simulated' (debug overlay) or 'failed'
+        async deliver(form) {
+            const formData = new FormData(form);
+
+            // A new key per submit; only the retry queue reuses it
+            const submissionId = SubmissionQueue.createKey(formData);
+            formData.append('submission_id', submissionId);
+            this.submissionIds.set(form, submissionId);
+
+            if (await SpamGuard.inspect(form, formData) === 'drop') return 'dropped';
+
+            const lead = LeadPipeline.build(form, formData, submissionId);
+            this.leads.set(form, lead);
+
+            const result = await LeadPipeline.send(form, lead);
+            if (result !== 'failed') SpamGuard.record();
+            return result;
+        },
+
+        validateForm(fields = Validator.fieldsIn(this.form)) {
+            return Validator.validateAll(fields);
+        },
+
+        // Same thank-you for every result; 'dropped' (SpamGuard) records nothing and
+        // 'simulated' (debug overlay) only shows its event in the overlay's feed
+        handleSuccess(result = 'sent') {
+            this.showMessage(I18n.t('form.success'), 'success');
+            this.form.style.display = 'none';
+            this.clearDraft();
+            this.dismissDraftNotice();
+            if (result === 'dropped') return;
+
+            if (result === 'sent') this.rememberLead();
+            Analytics.trackFormSubmit(this.form.id, 'formspree', this.submissionIds.get(this.form), result === 'simulated');
+            this.offerBookingStep();
+            log('Form submitted successfully');
+        },
+
+        rememberLead(form = this.form) {
+            const value = (name) => {
+                const field = form.elements.namedItem(name);
+                return field && typeof field.value === 'string' ? field.value.trim() : '';
+            };
+
+            Funnel.recordLead({
+                name: value('name'),
+                email: value('email'),
+                practice: value('practice')
+            });
+            CalendlyLoader.refreshPrefill();
+        },
+
+        // Opt-in with data-booking-step on the form: offer the call right after the audit request
+        offerBookingStep() {
+            if (!this.form.hasAttribute('data-booking-step') || !CalendlyLoader.embedContainer) return;
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-primary form-booking-step';
+            button.textContent = I18n.t('form.bookingStep');
+            button.addEventListener('click', () => {
+                Analytics.trackCTAClick('Book Review Call', 'form-success');
+                CalendlyLoader.openBooking();
+            });
+
+            this.messagesContainer.appendChild(document.createElement('br'));
+            this.messagesContainer.appendChild(button);
+        },
+
+        handleQueued() {
+            this.showMessage(I18n.t('form.queued'), 'info');
+            this.form.style.display = 'none';
+            this.rememberLead();
+            this.clearDraft();
+            this.dismissDraftNotice();
+            log('Form submission queued for retry');
+        },
+
+        handleError() {
+            this.showMessage(I18n.t('form.error', { email: CONFIG.LEAD_FALLBACK_EMAIL }), 'error');
+            this.showMailtoFallback(this.form);
+        },
+
+        // "Email us" link pre-filled with what the visitor typed, so a failed send loses nothing
+        showMailtoFallback(form, container = this.messagesContainer) {
+            const lead = this.leads.get(form);
+            if (!lead || !container) return;
+
+            const link = document.createElement('a');
+            link.className = 'form-messages__mailto';
+            link.href = LeadPipeline.mailtoHref(lead, form);
+            link.textContent = I18n.t('form.mailto');
+            link.addEventListener('click', () => Analytics.trackCTAClick('Email Fallback', `${form.id}-error`));
+
+            container.appendChild(document.createElement('br'));
+            container.appendChild(link);
+        },
+
+        showMessage(text, type, container = this.messagesContainer) {
+            if (!container) return;
+
+            const palette = {
+                success: ['var(--color-success)', 'var(--color-success-bg)'],
+                info: ['var(--color-accent)', 'var(--color-accent-soft)'],
+                error: ['var(--color-error)', 'var(--color-error-bg)']
+            };
+            const [color, background] = palette[type] || palette.error;
+
+            container.textContent = text;
+            container.className = `form-messages form-messages--${type}`;
+            container.style.color = color;
+            container.style.fontWeight = '600';
+            container.style.padding = 'var(--space-4)';
+            container.style.borderRadius = 'var(--radius-md)';
+            container.style.background = background;
+
+            // Set focus for accessibility
+            container.setAttribute('tabindex', '-1');
+            container.focus();
+        },
+
+        setLoadingState(loading) {
+            if (!this.submitBtn) return;
+
+            if (loading) {
+                this.submitBtn.disabled = true;
+                this.submitBtn.setAttribute('aria-busy', 'true');
+                this.submitBtn.dataset.originalText = this.submitBtn.textContent;
+                this.submitBtn.textContent = I18n.t('form.sending');
+                this.form.setAttribute('aria-busy', 'true');
+            } else {
+                this.submitBtn.disabled = false;
+                this.submitBtn.setAttribute('aria-busy', 'false');
+                this.submitBtn.textContent = this.submitBtn.dataset.originalText || I18n.t('form.send');
+                this.form.setAttribute('aria-busy', 'false');
+            }
+        }
+    };
+
+    // ===== FORM WIZARD (MULTI-STEP MODE) =====
+    // Opt-in with data-wizard on #mainForm. Each .form-group declares its step with
+    // data-step="N"; the first group of a step may set data-step-title. Without JS
+    // every group stays visible and the form posts as one page.
+    const FormWizard = {
+        form: null,
+        steps: [],
+        current: 0,
+        isActive: false,
+        progressLabel: null,
+        progressItems: [],
+        backBtn: null,
+        nextBtn: null,
+
+        init() {
+            this.form = FormHandler.form;
+            if (!this.form || !this.form.hasAttribute('data-wizard')) return;
+
+            const byNumber = {};
+            $$('.form-group[data-step]', this.form).forEach(group => {
+                const number = parseInt(group.dataset.step, 10);
+                if (isNaN(number)) return;
+
+                byNumber[number] = byNumber[number] || { number: number, title: '', groups: [] };
+                byNumber[number].groups.push(group);
+                if (!byNumber[number].title && group.dataset.stepTitle) {
+                    byNumber[number].title = group.dataset.stepTitle;
+                }
+            });
+
+            this.steps = Object.keys(byNumber)
+                .map(Number)
+                .sort((a, b) => a - b)
+                .map(number => byNumber[number]);
+
+            if (this.steps.length < 2) {
+                log('Form wizard needs at least two steps');
+                return;
+            }
+
+            this.steps.forEach(step => {
+                step.title = step.title || I18n.t('wizard.step', { step: step.number });
+            });
+
+            this.renderProgress();
+            this.renderNav();
+            this.isActive = true;
+            this.form.classList.add('form--wizard');
+            this.showStep(0, false);
+
+            // Count the first step as viewed once the visitor actually engages with the form
+            this.form.addEventListener('focusin', () => {
+                Analytics.trackFormStep('view', this.steps[0], this.steps.length);
+            }, { once: true });
+
+            log('Form wizard initialized with', this.steps.length, 'steps');
+        },
+
+        renderProgress() {
+            const progress = document.createElement('div');
+            progress.className = 'form-progress';
+
+            this.progressLabel = document.createElement('p');
+            this.progressLabel.className = 'form-progress__label';
+            this.progressLabel.setAttribute('aria-live', 'polite');
+
+            const list = document.createElement('ol');
+            list.className = 'form-progress__steps';
+            list.setAttribute('aria-hidden', 'true');
+
+            this.progressItems = this.steps.map(step => {
+                const item = document.createElement('li');
+                item.className = 'form-progress__step';
+                item.textContent = step.title;
+                list.appendChild(item);
+                return item;
+            });
+
+            progress.appendChild(this.progressLabel);
+            progress.appendChild(list);
+            this.form.insertBefore(progress, this.form.firstChild);
+        },
+
+        renderNav() {
+            const nav = document.createElement('div');
+            nav.className = 'form-step-nav';
+
+            this.backBtn = document.createElement('button');
+            this.backBtn.type = 'button';
+            this.backBtn.className = 'btn btn-ghost form-step-back';
+            this.backBtn.textContent = I18n.t('wizard.back');
+            this.backBtn.addEventListener('click', () => this.back());
+
+            this.nextBtn = document.createElement('button');
+            this.nextBtn.type = 'button';
+            this.nextBtn.className = 'btn btn-primary form-step-next';
+            this.nextBtn.textContent = I18n.t('wizard.next');
+            this.nextBtn.addEventListener('click', () => this.next());
+
+            const submitBtn = FormHandler.submitBtn;
+            if (submitBtn) {
+                submitBtn.parentNode.insertBefore(nav, submitBtn);
+            } else {
+                this.form.appendChild(nav);
+            }
+
+            nav.appendChild(this.backBtn);
+            nav.appendChild(this.nextBtn);
+            if (submitBtn) nav.appendChild(submitBtn);
+        },
+
+        isLastStep() {
+            return this.current === this.steps.length - 1;
+        },
+
+        fieldsFor(step) {
+            return step.groups.reduce((fields, group) => fields.concat(Validator.fieldsIn(group)), []);
+        },
+
+        showStep(index, moveFocus = true) {
+            this.current = index;
+            const step = this.steps[index];
+
+            this.steps.forEach((other, i) => {
+                other.groups.forEach(group => group.classList.toggle('is-hidden', i !== index));
+            });
+
+            this.progressItems.forEach((item, i) => {
+                item.classList.toggle('is-current', i === index);
+                item.classList.toggle('is-complete', i < index);
+            });
+            this.progressLabel.textContent = I18n.t('wizard.progress', { step: index + 1, count: this.steps.length, title: step.title });
+
+            this.backBtn.classList.toggle('is-hidden', index === 0);
+            this.nextBtn.classList.toggle('is-hidden', this.isLastStep());
+            if (FormHandler.submitBtn) {
+                FormHandler.submitBtn.classList.toggle('is-hidden', !this.isLastStep());
+            }
+
+            if (moveFocus) {
+                const firstField = $('input:not([type="hidden"]), select, textarea', step.groups[0]);
+                if (firstField) firstField.focus();
+                Analytics.trackFormStep('view', step, this.steps.length);
+            }
+        },
+
+        next() {
+            const step = this.steps[this.current];
+
+            if (!FormHandler.validateForm(this.fieldsFor(step))) {
+                Analytics.trackFormStep('validation_error', step, this.steps.length);
+                this.focusFirstInvalid(step);
+                return;
+            }
+
+            Analytics.trackFormStep('complete', step, this.steps.length);
+            if (!this.isLastStep()) this.showStep(this.current + 1);
+        },
+
+        back() {
+            if (this.current === 0) return;
+
+            Analytics.trackFormStep('back', this.steps[this.current], this.steps.length);
+            this.showStep(this.current - 1);
+        },
+
+        focusFirstInvalid(step) {
+            const invalid = step.groups
+                .map(group => $('[aria-invalid="true"]', group))
+                .find(Boolean);
+            if (invalid) invalid.focus();
+        },
+
+        // Final submit validates every step; jump back to the first one with errors
+        showFirstInvalidStep() {
+            const index = this.steps.findIndex(step =>
+                step.groups.some(group => $('[aria-invalid="true"]', group)));
+            if (index === -1) return;
+
+            if (index !== this.current) this.showStep(index, false);
+            this.focusFirstInvalid(this.steps[index]);
+        }
+    };
+
+    // ===== BOOKING PROVIDERS =====
+    // Adapters used by CalendlyLoader. Each one implements:
+    //   label               - human-readable name for logs and fallback copy
+    //   consentCategory     - Consent category required before loading third-party code (optional)
+    //   load(loader)        - Promise that resolves once the provider's script is ready
+    //   init(loader)        - render the booking UI into loader.embedContainer
+    //   parseMessage(e)     - booking details for a "booking scheduled" postMessage, else null
+    //   fallback(loader)    - render a plain link when the embed cannot load
+    // Choose one with data-booking-provider on #calendly-embed (default: calendly).
+    const BookingProviders = {
+        calendly: {
+            label: 'Calendly',
+            consentCategory: 'marketing',
+            origin: 'https://calendly.com',
+            scriptUrl: 'https://assets.calendly.com/assets/external/widget.js',
+
+            load() {
+                return window.Calendly ? Promise.resolve() : loadScript(this.scriptUrl);
+            },
+
+            init(loader) {
+                if (!window.Calendly) throw new Error('Calendly global is missing');
+
+                window.Calendly.initInlineWidget({
+                    url: loader.getUrl(),
+                    parentElement: loader.embedContainer,
+                    prefill: this.getPrefill(loader),
+                    utm: Attribution.getCalendlyUtm()
+                });
+            },
+
+            getPrefill(loader) {
+                const lead = loader.getPrefill();
+                const prefill = {};
+                if (lead.name) prefill.name = lead.name;
+                if (lead.email) prefill.email = lead.email;
+
+                // Practice name goes into the event type's custom question (a1 unless configured)
+                const answerKey = loader.embedContainer.dataset.calendlyPracticeAnswer || 'a1';
+                if (lead.practice) prefill.customAnswers = { [answerKey]: lead.practice };
+
+                return prefill;
+            },
+
+            parseMessage(e) {
+                if (e.origin !== this.origin) return null;
+
+                const data = typeof e.data === 'string' ? JSON.parse(e.data) : e.data;
+                if (!data || data.event !== 'calendly.event_scheduled') return null;
+
+                const payload = data.payload || {};
+                return {
+                    event_uri: payload.event && payload.event.uri,
+                    invitee_uri: payload.invitee && payload.invitee.uri
+                };
+            },
+
+            fallback(loader) {
+                loader.renderLink(loader.getUrl(), I18n.t('booking.openCalendly'));
+            }
+        },
+
+        calcom: {
+            label: 'Cal.com',
+            consentCategory: 'marketing',
+            origins: ['https://app.cal.com', 'https://cal.com'],
+            scriptUrl: 'https://app.cal.com/embed/embed.js',
+
+            load() {
+                // Same queueing stub as Cal.com's official snippet; embed.js replays the queue
+                if (!window.Cal) {
+                    const cal = function() {
+                        cal.q.push(arguments);
+                    };
+                    cal.q = [];
+                    cal.ns = {};
+                    cal.loaded = true;
+                    window.Cal = cal;
+                }
+
+                return loadScript(this.scriptUrl);
+            },
+
+            init(loader) {
+                const lead = loader.getPrefill();
+                const config = {};
+                if (lead.name) config.name = lead.name;
+                if (lead.email) config.email = lead.email;
+                if (lead.practice) config.notes = `Practice: ${lead.practice}`;
+
+                const touch = Attribution.lastTouch;
+                if (touch && touch.source !== '(direct)') {
+                    ['source', 'medium', 'campaign', 'term', 'content'].forEach(key => {
+                        if (touch[key]) config[`utm_${key}`] = touch[key];
+                    });
+                }
+
+                window.Cal('init', { origin: 'https://cal.com' });
+                window.Cal('inline', {
+                    elementOrSelector: `#${loader.embedContainer.id}`,
+                    calLink: this.calLink(loader.getUrl()),
+                    config: config
+                });
+            },
+
+            // "https://cal.com/clinic/intro" -> "clinic/intro"
+            calLink(url) {
+                try {
+                    return new URL(url).pathname.replace(/^\/+|\/+$/g, '');
+                } catch (error) {
+                    return url;
+                }
+            },
+
+            parseMessage(e) {
+                if (!this.origins.includes(e.origin)) return null;
+
+                const data = typeof e.data === 'string' ? JSON.parse(e.data) : e.data;
+                if (!data || data.originator !== 'CAL' || !/^bookingSuccessful/.test(data.type || '')) return null;
+
+                const booking = data.data || {};
+                return {
+                    event_uri: booking.booking && booking.booking.uid,
+                    event_type: booking.eventType && booking.eventType.slug
+                };
+            },
+
+            fallback(loader) {
+                loader.renderLink(loader.getUrl(), I18n.t('booking.openCalcom'));
+            }
+        },
+
+        // Plain appointment page (e.g. a Google Calendar booking link); no embed, no callbacks
+        link: {
+            label: 'Booking page',
+
+            load() {
+                return Promise.resolve();
+            },
+
+            init(loader) {
+                loader.renderLink(loader.getUrl(), I18n.t('booking.openLink'));
+            },
+
+            parseMessage() {
+                return null;
+            },
+
+            fallback(loader) {
+                this.init(loader);
+            }
+        }
+    };
+
+    // ===== BOOKING LOADER (CALENDLY BY DEFAULT) =====
+    const CalendlyLoader = {
+        isLoaded: false,
+        isLoading: false,
+        isTracking: false,
+        isAwaitingConsent: false,
+        isAwaitingConnection: false,
+        embedContainer: null,
+        bookCallButtons: [],
+        providerName: 'calendly',
+        provider: BookingProviders.calendly,
+
+        init() {
+            this.embedContainer = $('#calendly-embed');
+            this.bookCallButtons = $$('.cta-secondary, a[href="#call"]');
+
+            if (!this.embedContainer && this.bookCallButtons.length === 0) {
+                log('No Calendly elements found');
+                return;
+            }
+
+            this.selectProvider();
+
+            Consent.onChange(() => {
+                if (this.isAwaitingConsent && this.hasConsent()) {
+                    this.isAwaitingConsent = false;
+                    this.load().catch(() => {});
+                }
+            });
+
+            // Set up intersection observer for embed container
+            if (this.embedContainer && 'IntersectionObserver' in window) {
+                const observer = new IntersectionObserver((entries) => {
+                    if (entries[0].isIntersecting) {
+                        this.load().catch(() => {});
+                        observer.disconnect();
+                    }
+                }, { rootMargin: '200px' });
+
+                observer.observe(this.embedContainer);
+            }
+
+            // Set up click handlers for book call buttons
+            this.bookCallButtons.forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    if (!btn.href || btn.href.includes('#call')) {
+                        e.preventDefault();
+                        this.load().catch(() => {});
+                        this.scrollToEmbed();
+                    }
+                    Analytics.trackCTAClick('Book a Call', 'cta-secondary');
+                });
+            });
+
+            log('Booking loader initialized with provider:', this.providerName);
+        },
+
+        selectProvider() {
+            const name = (this.embedContainer && this.embedContainer.dataset.bookingProvider) || 'calendly';
+
+            if (!BookingProviders[name]) {
+                warn(`Unknown booking provider "${name}", falling back to Calendly`);
+                return;
+            }
+
+            this.providerName = name;
+            this.provider = BookingProviders[name];
+        },
+
+        getUrl() {
+            const dataset = this.embedContainer ? this.embedContainer.dataset : {};
+            return dataset.bookingUrl || dataset.calendlyUrl || CONFIG.CALENDLY_URL;
+        },
+
+        // Provider-neutral lead details; adapters map them to their own prefill format
+        getPrefill() {
+            return Funnel.getLead() || {};
+        },
+
+        hasConsent() {
+            return !this.provider.consentCategory || Consent.has(this.provider.consentCategory);
+        },
+
+        async load() {
+            if (this.isLoaded || this.isLoading) return;
+
+            if (!this.hasConsent()) {
+                this.isAwaitingConsent = true;
+                this.renderConsentPlaceholder();
+                log(`${this.provider.label} blocked until ${this.provider.consentCategory} consent`);
+                return;
+            }
+
+            if (navigator.onLine === false) {
+                this.waitForConnection();
+                return;
+            }
+
+            this.isLoading = true;
+            log(`Loading ${this.provider.label} widget...`);
+
+            try {
+                await this.provider.load(this);
+                this.isLoaded = true;
+                this.initWidget();
+                this.setupEventTracking();
+                log(`${this.provider.label} loaded successfully`);
+            } catch (error) {
+                // A new-tab link is no use offline either; try again once the connection returns
+                if (navigator.onLine === false) {
+                    this.waitForConnection();
+                    throw error;
+                }
+
+                warn(`Failed to load ${this.provider.label}`);
+                Monitoring.captureError(error, { module: this.providerName });
+                this.fallbackToDirectLink();
+                throw new Error(`${this.provider.label} script failed to load`);
+            } finally {
+                this.isLoading = false;
+            }
+        },
+
+        initWidget() {
+            if (!this.embedContainer) return;
+
+            try {
+                this.provider.init(this);
+                log(`${this.provider.label} widget initialized`);
+            } catch (error) {
+                warn(`${this.provider.label} initialization failed:`, error);
+                this.fallbackToDirectLink();
+            }
+        },
+
+        // Re-render an already loaded widget so it picks up a newly submitted lead
+        refreshPrefill() {
+            if (!this.isLoaded || !this.embedContainer) return;
+
+            this.embedContainer.innerHTML = '';
+            this.initWidget();
+        },
+
+        openBooking() {
+            this.load().catch(() => {
+                // load() already swapped in the fallback link
+            });
+            this.scrollToEmbed();
+
+            if (this.embedContainer) {
+                if (!this.embedContainer.hasAttribute('tabindex')) {
+                    this.embedContainer.setAttribute('tabindex', '-1');
+                }
+                this.embedContainer.focus({ preventScroll: true });
+            }
+        },
+
+        setupEventTracking() {
+            if (this.isTracking) return;
+            this.isTracking = true;
+
+            window.addEventListener('message', (e) => {
+                let booking = null;
+
+                try {
+                    booking = this.provider.parseMessage(e);
+                } catch (error) {
+                    // Ignore parse errors from unrelated messages
+                }
+
+                if (booking) this.handleBooking(booking);
+            });
+        },
+
+        // isSimulated is true for the debug overlay's rehearsal: feed event and message only
+        handleBooking(details, isSimulated = false) {
+            log(`${this.provider.label} booking completed:`, details);
+            Analytics.trackCalendlyBooking({
+                booking_provider: this.providerName,
+                ...details,
+                ...(isSimulated && { simulated: true })
+            });
+            if (!isSimulated) Funnel.mark('booked');
+            this.showBookingConfirmation();
+        },
+
+        showBookingConfirmation() {
+            const liveRegion = $('#live-region') || this.createLiveRegion();
+            liveRegion.textContent = I18n.t('booking.confirmed');
+            
+            setTimeout(() => {
+                liveRegion.textContent = '';
+            }, 5000);
+        },
+
+        createLiveRegion() {
+            const region = document.createElement('div');
+            region.id = 'live-region';
+            region.setAttribute('aria-live', 'polite');
+            region.setAttribute('aria-atomic', 'true');
+            region.className = 'sr-only';
+            document.body.appendChild(region);
+            return region;
+        },
+
+        scrollToEmbed() {
+            if (!this.embedContainer) return;
+
+            const navHeight = ($('.site-nav') || { offsetHeight: 0 }).offsetHeight;
+            const targetY = this.embedContainer.offsetTop - navHeight - 20;
+
+            window.scrollTo({
+                top: targetY,
+                behavior: prefersReducedMotion() ? 'auto' : 'smooth'
+            });
+        },
+
+        fallbackToDirectLink() {
+            if (!this.embedContainer) return;
+            this.provider.fallback(this);
+        },
+
+        waitForConnection() {
+            this.renderOfflinePlaceholder();
+            if (this.isAwaitingConnection) return;
+
+            this.isAwaitingConnection = true;
+            log(`${this.provider.label} waiting for the connection to return`);
+
+            window.addEventListener('online', () => {
+                this.isAwaitingConnection = false;
+                const placeholder = this.embedContainer && $('.booking-offline', this.embedContainer);
+                if (placeholder) placeholder.remove();
+                this.load().catch(() => {});
+            }, { once: true });
+        },
+
+        // The audit form queues offline, so point there instead of at a calendar that cannot load
+        renderOfflinePlaceholder() {
+            if (!this.embedContainer || $('.booking-offline', this.embedContainer)) return;
+
+            const placeholder = document.createElement('div');
+            placeholder.className = 'booking-offline';
+
+            const text = document.createElement('p');
+            text.textContent = I18n.t('booking.offline');
+
+            const link = document.createElement('a');
+            link.href = '#contact-form';
+            link.className = 'btn btn-primary';
+            link.textContent = I18n.t('booking.offlineForm');
+            link.addEventListener('click', () => Analytics.trackCTAClick(link.textContent, 'booking-offline'));
+
+            placeholder.appendChild(text);
+            placeholder.appendChild(link);
+            this.embedContainer.innerHTML = '';
+            this.embedContainer.appendChild(placeholder);
+        },
+
+        renderConsentPlaceholder() {
+            if (!this.embedContainer || $('.booking-consent', this.embedContainer)) return;
+
+            const placeholder = document.createElement('div');
+            placeholder.className = 'booking-consent';
+
+            const text = document.createElement('p');
+            text.textContent = I18n.t('booking.consent', { provider: this.provider.label });
+
+            const allow = document.createElement('button');
+            allow.type = 'button';
+            allow.className = 'btn btn-primary';
+            allow.textContent = I18n.t('booking.load');
+            allow.addEventListener('click', () => Consent.grant(this.provider.consentCategory));
+
+            const link = document.createElement('a');
+            link.href = this.getUrl();
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.className = 'btn btn-ghost';
+            link.textContent = I18n.t('booking.newTab');
+
+            placeholder.appendChild(text);
+            placeholder.appendChild(allow);
+            placeholder.appendChild(link);
+            this.embedContainer.innerHTML = '';
+            this.embedContainer.appendChild(placeholder);
+        },
+
+        renderLink(url, label) {
+            const link = document.createElement('a');
+            link.href = url;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.className = 'btn btn-primary';
+            link.textContent = label;
+            link.style.marginTop = 'var(--space-4)';
+            link.addEventListener('click', () => {
+                Analytics.trackCTAClick(label, `booking-${this.providerName}`);
+            });
+
+            this.embedContainer.innerHTML = '';
+            this.embedContainer.appendChild(link);
+        }
+    };
+
+    // ===== ROI CALCULATOR =====
+    // The assumptions reproduce the static copy: a 3-chair practice at 20 new
+    // patients/month misses ~16 more (copy: 15-25), $1,200 of ads buys ~12 new
+    // patients (copy: "12 new patients at $400"), and our fee is $797/month.
+    // Static urgency/pricing figures ([data-roi-output] outside the calculator)
+    // only switch to calculated values once the visitor changes an input.
+    const ROICalculator = {
+        root: null,
+        inputs: [],
+        summary: null,
+        hasInteracted: false,
+        values: null,
+        assumptions: {
+            monthlyFee: 797, // "Monthly Management $797/month"
+            capacityPerChair: 12, // new patients one chair can absorb each month
+            costPerPatient: 100 // ad spend needed per new patient
+        },
+
+        init() {
+            this.root = $('[data-js="roi-calculator"]');
+            if (!this.root) return;
+
+            this.inputs = $$('[data-roi-input]', this.root);
+            this.summary = $('[data-js="roi-summary"]', this.root);
+            this.root.hidden = false;
+
+            const trackUpdate = debounce(() => this.trackUpdate(), 1500);
+            this.inputs.forEach(input => {
+                input.addEventListener('input', () => {
+                    this.handleFirstUse(input);
+                    this.update();
+                    trackUpdate();
+                });
+            });
+
+            FormHandler.addFields('roi', () => this.getFields());
+            this.update();
+            log('ROI calculator initialized');
+        },
+
+        readInputs() {
+            return this.inputs.reduce((values, input) => {
+                const min = parseFloat(input.min);
+                const max = parseFloat(input.max);
+                let value = parseFloat(input.value);
+
+                if (isNaN(value)) value = parseFloat(input.defaultValue) || 0;
+                if (!isNaN(min)) value = Math.max(min, value);
+                if (!isNaN(max)) value = Math.min(max, value);
+
+                values[input.dataset.roiInput] = value;
+                return values;
+            }, {});
+        },
+
+        calculate(inputs) {
+            const { monthlyFee, capacityPerChair, costPerPatient } = this.assumptions;
+            const missedPatients = Math.max(0, Math.round(inputs.chairs * capacityPerChair - inputs.currentPatients));
+            const lostRevenue = missedPatients * inputs.patientValue;
+            const totalCost = monthlyFee + inputs.adBudget;
+
+            // Ads can only win back patients the practice is currently missing
+            const projectedPatients = Math.min(missedPatients, Math.floor(inputs.adBudget / costPerPatient));
+            const projectedRevenue = projectedPatients * inputs.patientValue;
+
+            return {
+                ...inputs,
+                missedPatients: missedPatients,
+                lostRevenue: lostRevenue,
+                annualLost: lostRevenue * 12,
+                totalCost: totalCost,
+                projectedPatients: projectedPatients,
+                projectedRevenue: projectedRevenue,
+                projectedProfit: projectedRevenue - totalCost
+            };
+        },
+
+        format(key, value) {
+            if (key === 'missedPatients' || key === 'projectedPatients' || key === 'chairs' || key === 'currentPatients') {
+                return I18n.formatNumber(value);
+            }
+
+            return I18n.formatCurrency(value);
+        },
+
+        update() {
+            this.values = this.calculate(this.readInputs());
+
+            $$('[data-roi-output]').forEach(el => {
+                const isStatic = !this.root.contains(el);
+                if (isStatic && !this.hasInteracted) return;
+
+                const key = el.dataset.roiOutput;
+                if (this.values[key] === undefined) return;
+
+                el.textContent = this.format(key, this.values[key]);
+                el.classList.toggle('is-negative', this.values[key] < 0);
+            });
+
+            if (this.summary) {
+                const profit = this.format('projectedProfit', this.values.projectedProfit);
+                this.summary.textContent = this.values.projectedProfit >= 0
+                    ? I18n.t('roi.profit', { profit: profit })
+                    : I18n.t('roi.loss', { profit: profit });
+            }
+        },
+
+        handleFirstUse(input) {
+            if (this.hasInteracted) return;
+
+            this.hasInteracted = true;
+            Analytics.trackROICalculator('use', { field: input.dataset.roiInput });
+        },
+
+        trackUpdate() {
+            const values = this.values;
+            Analytics.trackROICalculator('update', {
+                patient_value: values.patientValue,
+                chairs: values.chairs,
+                current_patients: values.currentPatients,
+                ad_budget: values.adBudget,
+                projected_profit: values.projectedProfit
+            });
+        },
+
+        // Only sent once the visitor has actually used the calculator
+        getFields() {
+            if (!this.hasInteracted || !this.values) return {};
+
+            const values = this.values;
+            return {
+                roi_patient_value: values.patientValue,
+                roi_chairs: values.chairs,
+                roi_current_patients: values.currentPatients,
+                roi_ad_budget: values.adBudget,
+                roi_missed_patients: values.missedPatients,
+                roi_projected_profit: values.projectedProfit
+            };
+        }
+    };
+
+    // ===== EXIT INTENT (EMAIL CAPTURE MODAL) =====
+    // Offers an email-only audit request when the visitor looks like leaving:
+    // cursor leaving the top of the viewport (desktop), a fast scroll up or the
+    // back button (touch), or CONFIG.EXIT_INTENT_IDLE without interaction. It is
+    // shown once per cooldown, never to converted visitors, and submits through
+    // FormHandler so validation, retries and extra fields match the main form.
+    const ExitIntent = {
+        modal: null,
+        form: null,
+        trigger: null,
+        shownAt: 0,
+        loadedAt: 0,
+        hasShown: false,
+        hasConverted: false,
+        isSubmitting: false,
+        isSentinelActive: false,
+        idleTimer: null,
+        storageKey: 'exit-intent',
+
+        init() {
+            if (!CONFIG.EXIT_INTENT_ENABLED || !$('#mainForm')) return;
+
+            this.loadedAt = Date.now();
+            const isTouch = window.matchMedia('(pointer: coarse)').matches;
+
+            if (isTouch) {
+                this.watchScrollUp();
+                this.watchBack();
+            } else {
+                document.addEventListener('mouseout', (e) => {
+                    if (!e.relatedTarget && e.clientY <= 0) this.show('exit');
+                });
+            }
+
+            this.watchIdle();
+            log('Exit intent initialized:', isTouch ? 'touch' : 'pointer');
+        },
+
+        // Conditions that never turn true again during this page view
+        isEligible() {
+            if (this.hasShown || Funnel.hasConverted()) return false;
+
+            const saved = storage.get(this.storageKey, {});
+            return !saved.lastShown || Date.now() - saved.lastShown >= CONFIG.EXIT_INTENT_COOLDOWN;
+        },
+
+        canShow() {
+            if (!this.isEligible() || Dialog.top()) return false;
+            if (document.visibilityState === 'hidden') return false;
+            if (Date.now() - this.loadedAt < CONFIG.EXIT_INTENT_MIN_TIME) return false;
+
+            // Someone typing into the main form is not leaving
+            const mainForm = $('#mainForm');
+            return !(mainForm && mainForm.contains(document.activeElement));
+        },
+
+        watchScrollUp() {
+            let lastY = window.scrollY;
+            let lastTime = Date.now();
+
+            window.addEventListener('scroll', throttle(() => {
+                const now = Date.now();
+                const velocity = (lastY - window.scrollY) / Math.max(1, now - lastTime);
+
+                if (velocity >= CONFIG.EXIT_INTENT_SCROLL_VELOCITY && window.scrollY > window.innerHeight) {
+                    this.show('scroll_up');
+                }
+
+                lastY = window.scrollY;
+                lastTime = now;
+            }, CONFIG.SCROLL_THROTTLE), { passive: true });
+        },
+
+        // A sentinel history entry (added after the first interaction, as browsers
+        // require) turns the first Back press into a popstate we can answer
+        watchBack() {
+            // No sentinel for visitors who can never see the modal: it would be a dead Back step
+            const arm = () => {
+                if (!this.isEligible()) return;
+                history.pushState({ exitIntent: true }, '', window.location.href);
+                this.isSentinelActive = true;
+            };
+            document.addEventListener('touchstart', arm, { once: true, passive: true });
+
+            window.addEventListener('popstate', (e) => {
+                if (!this.isSentinelActive || (e.state && e.state.exitIntent)) return;
+                this.isSentinelActive = false;
+
+                // Nothing to show: honour the Back press instead of swallowing it
+                if (!this.show('back')) history.back();
+            });
+        },
+
+        watchIdle() {
+            const reset = () => {
+                clearTimeout(this.idleTimer);
+                if (this.hasShown) return;
+                this.idleTimer = setTimeout(() => this.show('idle'), CONFIG.EXIT_INTENT_IDLE);
+            };
+
+            ['pointermove', 'keydown', 'scroll', 'touchstart'].forEach(type => {
+                document.addEventListener(type, throttle(reset, 1000), { passive: true });
+            });
+            reset();
+        },
+
+        show(trigger) {
+            if (!this.canShow()) return false;
+
+            if (!this.modal) this.render();
+
+            this.hasShown = true;
+            this.trigger = trigger;
+            this.shownAt = Date.now();
+            clearTimeout(this.idleTimer);
+            storage.set(this.storageKey, { lastShown: this.shownAt, trigger: trigger });
+
+            this.modal.root.classList.toggle('exit-intent--animated', !prefersReducedMotion());
+            this.modal.open({ initialFocus: $('input[type="email"]', this.form) });
+
+            Analytics.trackExitIntent('impression', { trigger: trigger });
+            log('Exit intent shown:', trigger);
+            return true;
+        },
+
+        render() {
+            const mainForm = $('#mainForm');
+            const content = document.createElement('div');
+            content.innerHTML = `
+                <p class="exit-intent__intro">${I18n.t('exit.intro')}</p>
+                <form class="exit-intent__form" id="exitIntentForm" method="POST" novalidate>
+                    <input type="text" name="_gotcha" style="display:none" tabindex="-1" autocomplete="off" aria-hidden="true">
+                    <input type="hidden" name="lead_source" value="exit_intent">
+                    <div class="form-group">
+                        <label class="form-label" for="exit-intent-email">${I18n.t('exit.email')} *</label>
+                        <input type="email" id="exit-intent-email" name="email" class="form-input"
+                               required aria-required="true" autocomplete="email" aria-describedby="exit-intent-email-error">
+                        <span id="exit-intent-email-error" class="error-message" role="alert"></span>
+                    </div>
+                    <button type="submit" class="btn btn-primary exit-intent__submit">${I18n.t('exit.submit')}</button>
+                    <div class="form-messages" aria-live="polite" aria-atomic="true"></div>
+                </form>
+            `;
+
+            this.form = $('form', content);
+            this.form.action = mainForm.action || CONFIG.FORMSPREE_ENDPOINT;
+            this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+            Validator.attach(this.form);
+            SpamGuard.protect(this.form);
+
+            this.modal = Dialog.create({
+                title: I18n.t('exit.title'),
+                content: content,
+                className: 'exit-intent'
+            });
+            this.modal.onClose = () => this.handleClose();
+        },
+
+        async handleSubmit(e) {
+            e.preventDefault();
+            if (this.isSubmitting) return;
+
+            const email = $('input[type="email"]', this.form);
+            const messages = $('.form-messages', this.form);
+            const submitBtn = $('.exit-intent__submit', this.form);
+
+            if (!FormHandler.validateForm([email])) {
+                email.focus();
+                return;
+            }
+
+            this.isSubmitting = true;
+            submitBtn.disabled = true;
+            submitBtn.setAttribute('aria-busy', 'true');
+
+            try {
+                const result = await FormHandler.deliver(this.form);
+
+                if (result === 'failed') {
+                    FormHandler.showMessage(I18n.t('exit.error'), 'error', messages);
+                    FormHandler.showMailtoFallback(this.form, messages);
+                    return;
+                }
+
+                this.hasConverted = true;
+                if (result !== 'dropped') {
+                    const isSimulated = result === 'simulated';
+                    if (!isSimulated) FormHandler.rememberLead(this.form);
+                    if (result !== 'queued') Analytics.trackFormSubmit(this.form.id, 'formspree', FormHandler.submissionIds.get(this.form), isSimulated);
+                    Analytics.trackExitIntent('convert', { trigger: this.trigger, result: result, ...(isSimulated && { simulated: true }) });
+                }
+
+                $$('.form-group, .exit-intent__submit', this.form).forEach(el => el.remove());
+                FormHandler.showMessage(result === 'queued' ? I18n.t('exit.queued') : I18n.t('exit.success'),
+                result === 'queued' ? 'info' : 'success', messages);
+            } catch (error) {
+                warn('Exit-intent submission failed:', error);
+                FormHandler.showMessage(I18n.t('exit.error'), 'error', messages);
+                FormHandler.showMailtoFallback(this.form, messages);
+            } finally {
+                this.isSubmitting = false;
+                submitBtn.disabled = false;
+                submitBtn.removeAttribute('aria-busy');
+            }
+        },
+
+        handleClose() {
+            if (this.hasConverted) return;
+
+            Analytics.trackExitIntent('dismiss', {
+                trigger: this.trigger,
+                visible_ms: Date.now() - this.shownAt
+            });
+        }
+    };
+
+    // ===== STICKY CTA =====
+    // Follows the section in view: a section with data-sticky-label / -target swaps
+    // the copy and link, and anything marked data-sticky-hide (form, booking widget)
+    // hides the button while on screen. It stays hidden once the visitor converted
+    // or dismissed it for the session. Each label/target variant shown is tracked once.
+    const StickyCTA = {
+        element: null,
+        link: null,
+        labelEl: null,
+        isVisible: false,
+        isDismissed: false,
+        scrollThreshold: CONFIG.STICKY_CTA_THRESHOLD,
+        rafId: null,
+        dismissKey: 'sticky-cta-dismissed',
+        defaultVariant: null,
+        variant: null,
+        currentSection: null,
+        blockers: new Set(),
+        impressions: new Set(),
+
+        init() {
+            this.element = $('[data-js="sticky-cta"]') || $('.sticky-cta');
+            if (!this.element) {
+                log('Sticky CTA element not found');
+                return;
+            }
+
+            this.link = $('a', this.element);
+            this.labelEl = $('.sticky-cta__label', this.element) || this.link;
+            if (!this.link) return;
+
+            this.defaultVariant = {
+                label: this.labelEl.textContent.trim(),
+                target: this.link.getAttribute('href'),
+                section: null
+            };
+            this.variant = this.defaultVariant;
+
+            if (storage.get(this.dismissKey, false, 'session')) {
+                this.isDismissed = true;
+                log('Sticky CTA dismissed earlier this session');
+                return;
+            }
+
+            this.observeSections();
+            this.observeBlockers();
+
+            // Use passive scroll listener with throttling
+            window.addEventListener('scroll', throttle(() => this.scheduleUpdate(), CONFIG.SCROLL_THROTTLE), { passive: true });
+
+            this.link.addEventListener('click', () => {
+                Analytics.trackCTAClick(this.variant.label, `sticky-cta:${this.variant.section || 'none'}`);
+            });
+
+            const dismissBtn = $('[data-js="sticky-cta-dismiss"]', this.element);
+            if (dismissBtn) dismissBtn.addEventListener('click', () => this.dismiss());
+
+            this.update();
+            log('Sticky CTA initialized');
+        },
+
+        // A thin band across the middle of the viewport decides the current section
+        observeSections() {
+            const sections = $$('main section[id]');
+            if (sections.length === 0 || !('IntersectionObserver' in window)) return;
+
+            const observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        this.currentSection = entry.target;
+                    } else if (this.currentSection === entry.target) {
+                        this.currentSection = null;
+                    }
+                });
+                this.scheduleUpdate();
+            }, { rootMargin: '-50% 0px -50% 0px' });
+
+            sections.forEach(section => observer.observe(section));
+        },
+
+        observeBlockers() {
+            const blockers = $$('[data-sticky-hide]');
+            if (blockers.length === 0 || !('IntersectionObserver' in window)) return;
+
+            const observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        this.blockers.add(entry.target);
+                    } else {
+                        this.blockers.delete(entry.target);
+                    }
+                });
+                this.scheduleUpdate();
+            });
+
+            blockers.forEach(el => observer.observe(el));
+        },
+
+        scheduleUpdate() {
+            if (this.rafId) return;
+
+            this.rafId = requestAnimationFrame(() => {
+                this.rafId = null;
+                this.update();
+            });
+        },
+
+        resolveVariant() {
+            const section = this.currentSection;
+            const sectionId = section ? section.id : null;
+            const fallback = { ...this.defaultVariant, section: sectionId };
+
+            if (!section || !section.dataset.stickyLabel) return fallback;
+
+            // data-sticky-offer="active|ended" limits the variant to that offer state
+            const offerState = section.dataset.stickyOffer;
+            if (offerState && Offer.isActive() !== (offerState === 'active')) return fallback;
+
+            return {
+                label: section.dataset.stickyLabel,
+                target: section.dataset.stickyTarget || this.defaultVariant.target,
+                section: sectionId
+            };
+        },
+
+        update() {
+            if (this.isDismissed) return;
+
+            const scrollY = window.pageYOffset || document.documentElement.scrollTop;
+            const shouldShow = scrollY > this.scrollThreshold
+                && this.blockers.size === 0
+                && !Funnel.hasConverted();
+
+            if (shouldShow) this.applyVariant(this.resolveVariant());
+
+            if (shouldShow && !this.isVisible) {
+                this.show();
+            } else if (!shouldShow && this.isVisible) {
+                this.hide();
+            }
+        },
+
+        applyVariant(variant) {
+            if (variant.label !== this.variant.label) this.labelEl.textContent = variant.label;
+            if (variant.target !== this.variant.target) this.link.setAttribute('href', variant.target);
+            this.variant = variant;
+
+            if (this.isVisible) this.trackImpression();
+        },
+
+        trackImpression() {
+            const key = `${this.variant.label}|${this.variant.target}`;
+            if (this.impressions.has(key)) return;
+
+            this.impressions.add(key);
+            Analytics.trackStickyCTA('impression', this.eventParams());
+        },
+
+        eventParams() {
+            return {
+                section_id: this.variant.section || 'none',
+                cta_label: this.variant.label,
+                cta_target: this.variant.target
+            };
+        },
+
+        dismiss() {
+            this.isDismissed = true;
+            storage.set(this.dismissKey, true, 'session');
+            Analytics.trackStickyCTA('dismiss', this.eventParams());
+            this.hide();
+            log('Sticky CTA dismissed for this session');
+        },
+
+        show() {
+            this.isVisible = true;
+            this.element.classList.add('is-visible');
+            this.trackImpression();
+            log('Sticky CTA shown:', this.variant.label);
+        },
+
+        hide() {
+            this.isVisible = false;
+            this.element.classList.remove('is-visible');
+        }
+    };
+
+    // ===== CTA TRACKING =====
+    const CTATracking = {
+        init() {
+            // Track primary CTA clicks (scroll to form); the sticky CTA tracks its own
+            // clicks with the label and section it is currently showing
+            $$('.cta-primary, a[href="#contact-form"]').filter(btn => !btn.closest('.sticky-cta')).forEach(btn => {
+                btn.addEventListener('click', () => {
+                    Analytics.trackCTAClick('Get Free Audit', 'cta-primary');
+                });
+            });
+
+            // Secondary CTA tracking is handled in CalendlyLoader
+            log('CTA tracking initialized');
+        }
+    };
+
+    // ===== ENGAGEMENT TRACKING =====
+    // Section views, time in each section, scroll depth and time on page. Time only
+    // accrues while the tab is visible; totals are sent whenever the page is hidden
+    // (tab switch, navigation, close), as deltas since the previous report.
+    const EngagementTracker = {
+        sections: [],
+        viewed: new Set(),
+        inView: new Set(),
+        visibleSince: {},
+        engagedMs: {},
+        reportedMs: {},
+        milestones: [25, 50, 75, 90, 100],
+        reachedMilestones: new Set(),
+        maxScroll: 0,
+        pageVisibleSince: 0,
+        pageEngagedMs: 0,
+        pageReportedMs: 0,
+
+        init() {
+            this.sections = $$('main section[id]');
+            this.pageVisibleSince = document.hidden ? 0 : Date.now();
+
+            if (this.sections.length > 0 && 'IntersectionObserver' in window) {
+                const observer = new IntersectionObserver((entries) => {
+                    entries.forEach(entry => this.handleIntersection(entry));
+                }, { threshold: [0, 0.25, 0.5, 0.75, 1] });
+
+                this.sections.forEach(section => observer.observe(section));
+            }
+
+            window.addEventListener('scroll', throttle(() => this.checkScrollDepth(), CONFIG.SCROLL_THROTTLE), { passive: true });
+            document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
+            window.addEventListener('pagehide', () => this.pause());
+
+            log('Engagement tracker initialized for', this.sections.length, 'sections');
+        },
+
+        // Tall sections never reach 50% visibility, so half the viewport also counts
+        isInView(entry) {
+            if (!entry.isIntersecting) return false;
+            return entry.intersectionRatio >= 0.5 ||
+                entry.intersectionRect.height >= window.innerHeight * 0.5;
+        },
+
+        handleIntersection(entry) {
+            const id = entry.target.id;
+            const inView = this.isInView(entry);
+
+            if (inView && !this.inView.has(id)) {
+                this.inView.add(id);
+                if (!document.hidden) this.visibleSince[id] = Date.now();
+
+                if (!this.viewed.has(id)) {
+                    this.viewed.add(id);
+                    Analytics.trackSectionView(id, this.sections.indexOf(entry.target));
+                }
+            } else if (!inView && this.inView.has(id)) {
+                this.inView.delete(id);
+                this.stopTimer(id);
+            }
+        },
+
+        stopTimer(id) {
+            if (!this.visibleSince[id]) return;
+
+            this.engagedMs[id] = (this.engagedMs[id] || 0) + (Date.now() - this.visibleSince[id]);
+            delete this.visibleSince[id];
+        },
+
+        checkScrollDepth() {
+            const doc = document.documentElement;
+            const scrollable = doc.scrollHeight - window.innerHeight;
+            const scrollY = window.pageYOffset || doc.scrollTop;
+            const percent = scrollable <= 0 ? 100 : Math.min(100, Math.round((scrollY / scrollable) * 100));
+
+            this.maxScroll = Math.max(this.maxScroll, percent);
+            this.milestones.forEach(milestone => {
+                if (percent >= milestone && !this.reachedMilestones.has(milestone)) {
+                    this.reachedMilestones.add(milestone);
+                    Analytics.trackScrollDepth(milestone);
+                }
+            });
+        },
+
+        handleVisibilityChange() {
+            if (document.hidden) {
+                this.pause();
+            } else {
+                const now = Date.now();
+                this.pageVisibleSince = now;
+                this.inView.forEach(id => {
+                    this.visibleSince[id] = now;
+                });
+            }
+        },
+
+        pause() {
+            if (this.pageVisibleSince) {
+                this.pageEngagedMs += Date.now() - this.pageVisibleSince;
+                this.pageVisibleSince = 0;
+            }
+            Object.keys(this.visibleSince).forEach(id => this.stopTimer(id));
+            this.report();
+        },
+
+        report() {
+            Object.keys(this.engagedMs).forEach(id => {
+                const delta = this.engagedMs[id] - (this.reportedMs[id] || 0);
+                if (delta < 1000) return;
+
+                this.reportedMs[id] = this.engagedMs[id];
+                Analytics.trackSectionEngagement(id, delta);
+            });
+
+            const pageDelta = this.pageEngagedMs - this.pageReportedMs;
+            if (pageDelta >= 1000) {
+                this.pageReportedMs = this.pageEngagedMs;
+                Analytics.trackPageEngagement(pageDelta, this.maxScroll);
+            }
+        }
+    };
+
+    // ===== SMOOTH SCROLL =====
+    const SmoothScroll = {
+        init() {
+            document.addEventListener('click', (e) => {
+                const link = e.target.closest('a[href^="#"]');
+                if (!link) return;
+
+                const href = link.getAttribute('href');
+                if (href === '#' || href.length <= 1) return;
+
+                const target = $(href);
+                if (!target) return;
+
+                e.preventDefault();
+
+                // Links to a FAQ question or answer open it first so the scroll lands on the content
+                const faqToggle = Accordion.reveal(target);
+                this.scrollToElement(faqToggle || target);
+            });
+        },
+
+        scrollToElement(el) {
+            const navHeight = ($('.site-nav') || { offsetHeight: 0 }).offsetHeight;
+            const targetY = el.offsetTop - navHeight - 20;
+
+            window.scrollTo({
+                top: Math.max(0, targetY),
+                behavior: prefersReducedMotion() ? 'auto' : 'smooth'
+            });
+
+            // Focus management
+            setTimeout(() => {
+                if (!el.hasAttribute('tabindex')) {
+                    el.setAttribute('tabindex', '-1');
+                }
+                el.focus({ preventScroll: true });
+            }, prefersReducedMotion() ? 0 : 500);
+        }
+    };
+
+    // ===== DIALOG (FOCUS TRAP) =====
+    // Stack of open dialogs. Only the top one traps Tab/Shift+Tab, closes on
+    // Escape and outside clicks, and has the rest of the page made inert.
+    // options.include lists extra elements treated as inside (e.g. a menu toggle).
+    const Dialog = {
+        stack: [],
+        inerted: [],
+        scrollLocks: 0,
+        isListening: false,
+        focusableSelector: [
+            'a[href]',
+            'button:not([disabled])',
+            'input:not([disabled]):not([type="hidden"])',
+            'select:not([disabled])',
+            'textarea:not([disabled])',
+            'iframe',
+            '[tabindex]:not([tabindex="-1"])'
+        ].join(','),
+
+        open(el, options = {}) {
+            if (this.isOpen(el)) return;
+            this.listen();
+
+            const entry = {
+                el,
+                include: options.include || [],
+                returnFocus: options.returnFocus || document.activeElement,
+                onClose: options.onClose || null,
+                closeOnEscape: options.closeOnEscape !== false,
+                closeOnOutsideClick: options.closeOnOutsideClick !== false,
+                lockScroll: options.lockScroll !== false,
+                acceptsClicks: false
+            };
+
+            this.stack.push(entry);
+            if (entry.lockScroll) this.lockScroll();
+            this.applyInert();
+
+            // Ignore the click that opened the dialog while it bubbles to document
+            setTimeout(() => { entry.acceptsClicks = true; }, 0);
+
+            const initial = options.initialFocus || this.getFocusable({ el, include: [] })[0] || el;
+            if (initial === el && !el.hasAttribute('tabindex')) el.setAttribute('tabindex', '-1');
+            initial.focus({ preventScroll: true });
+
+            log('Dialog opened, stack depth:', this.stack.length);
+        },
+
+        close(el, { restoreFocus = true } = {}) {
+            const index = this.stack.findIndex(entry => entry.el === el);
+            if (index === -1) return;
+
+            // Closing a dialog also closes anything stacked above it
+            const closed = this.stack.splice(index).reverse();
+            closed.forEach(entry => {
+                if (entry.lockScroll) this.unlockScroll();
+            });
+            this.applyInert();
+
+            closed.forEach(entry => {
+                if (entry.onClose) entry.onClose();
+            });
+
+            const returnFocus = closed[closed.length - 1].returnFocus;
+            if (restoreFocus && returnFocus && document.contains(returnFocus)) {
+                returnFocus.focus({ preventScroll: true });
+            }
+
+            log('Dialog closed, stack depth:', this.stack.length);
+        },
+
+        isOpen(el) {
+            return this.stack.some(entry => entry.el === el);
+        },
+
+        top() {
+            return this.stack[this.stack.length - 1] || null;
+        },
+
+        contains(entry, node) {
+            return [entry.el, ...entry.include].some(container => container.contains(node));
+        },
+
+        listen() {
+            if (this.isListening) return;
+            this.isListening = true;
+
+            document.addEventListener('keydown', (e) => {
+                const entry = this.top();
+                if (!entry) return;
+
+                if (e.key === 'Escape' && entry.closeOnEscape) {
+                    e.preventDefault();
+                    this.close(entry.el);
+                } else if (e.key === 'Tab') {
+                    this.cycleFocus(entry, e);
+                }
+            });
+
+            document.addEventListener('click', (e) => {
+                const entry = this.top();
+                if (!entry || !entry.closeOnOutsideClick || !entry.acceptsClicks) return;
+                if (this.contains(entry, e.target)) return;
+
+                this.close(entry.el, { restoreFocus: false });
+            });
+        },
+
+        getFocusable(entry) {
+            return [entry.el, ...entry.include]
+                .flatMap(container => [container, ...$$(this.focusableSelector, container)])
+                .filter(node => node.matches(this.focusableSelector) && node.getClientRects().length > 0)
+                .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+        },
+
+        cycleFocus(entry, e) {
+            const focusable = this.getFocusable(entry);
+            if (focusable.length === 0) {
+                e.preventDefault();
+                return;
+            }
+
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            const active = document.activeElement;
+
+            if (!this.contains(entry, active)) {
+                e.preventDefault();
+                (e.shiftKey ? last : first).focus();
+            } else if (e.shiftKey && active === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && active === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        },
+
+        // Everything outside the top dialog becomes inert; attributes we did not set are left alone
+        applyInert() {
+            this.inerted.forEach(node => {
+                node.inert = false;
+                node.removeAttribute('inert');
+                node.removeAttribute('aria-hidden');
+            });
+            this.inerted = [];
+
+            const entry = this.top();
+            if (!entry) return;
+
+            const keep = [entry.el, ...entry.include];
+            const walk = (parent) => {
+                Array.from(parent.children).forEach(child => {
+                    if (keep.includes(child) || ['SCRIPT', 'STYLE', 'LINK', 'NOSCRIPT'].includes(child.tagName)) return;
+
+                    if (keep.some(node => child.contains(node))) {
+                        walk(child);
+                    } else if (!child.hasAttribute('inert') && !child.hasAttribute('aria-hidden')) {
+                        child.inert = true;
+                        child.setAttribute('inert', '');
+                        child.setAttribute('aria-hidden', 'true');
+                        this.inerted.push(child);
+                    }
+                });
+            };
+            walk(document.body);
+        },
+
+        lockScroll() {
+            this.scrollLocks++;
+            document.body.style.overflow = 'hidden';
+        },
+
+        unlockScroll() {
+            this.scrollLocks = Math.max(0, this.scrollLocks - 1);
+            if (this.scrollLocks === 0) document.body.style.overflow = '';
+        },
+
+        // Builds a .dialog modal (backdrop + panel) for popups; content is a node or text
+        create({ title, content, className = '', labelledBy } = {}) {
+            const id = `dialog-${uid()}`;
+            const root = document.createElement('div');
+            root.className = `dialog ${className}`.trim();
+            root.hidden = true;
+            root.innerHTML = `
+                <div class="dialog__panel" role="dialog" aria-modal="true">
+                    <button type="button" class="dialog__close" aria-label="${I18n.t('dialog.close')}">&times;</button>
+                    <h2 class="dialog__title" id="${id}-title"></h2>
+                    <div class="dialog__body"></div>
+                </div>
+            `;
+
+            const panel = $('.dialog__panel', root);
+            const heading = $('.dialog__title', root);
+            const body = $('.dialog__body', root);
+
+            if (title) {
+                heading.textContent = title;
+                panel.setAttribute('aria-labelledby', labelledBy || heading.id);
+            } else {
+                heading.remove();
+                if (labelledBy) panel.setAttribute('aria-labelledby', labelledBy);
+            }
+
+            if (content instanceof Node) {
+                body.appendChild(content);
+            } else if (content) {
+                body.textContent = content;
+            }
+
+            document.body.appendChild(root);
+
+            const modal = {
+                root,
+                panel,
+                body,
+                onClose: null,
+                open: (options = {}) => {
+                    root.hidden = false;
+                    Dialog.open(panel, {
+                        ...options,
+                        onClose: () => {
+                            root.hidden = true;
+                            if (modal.onClose) modal.onClose();
+                        }
+                    });
+                },
+                close: (options) => Dialog.close(panel, options),
+                isOpen: () => Dialog.isOpen(panel),
+                destroy: () => {
+                    Dialog.close(panel, { restoreFocus: false });
+                    root.remove();
+                }
+            };
+
+            $('.dialog__close', root).addEventListener('click', () => modal.close());
+            return modal;
+        }
+    };
+
+    // ===== MOBILE NAV =====
+    const MobileNav = {
+        toggle: null,
+        nav: null,
+        menu: null,
+        isOpen: false,
+
+        init() {
+            this.toggle = $('[data-js="nav-toggle"]');
+            this.nav = $('#site-nav') || $('.site-nav');
+
+            if (!this.toggle || !this.nav) return;
+
+            this.menu = $('#' + this.toggle.getAttribute('aria-controls')) || $('.nav-menu', this.nav);
+            if (!this.menu) return;
+
+            this.toggle.addEventListener('click', () => this.toggleMenu());
+
+            // Links scroll somewhere else, so focus goes with them rather than back to the toggle
+            this.menu.addEventListener('click', (e) => {
+                if (this.isOpen && e.target.closest('a[href]')) this.closeMenu({ restoreFocus: false });
+            });
+
+            // The menu is a plain row on desktop; never leave the page trapped after a resize
+            window.addEventListener('resize', debounce(() => {
+                if (this.isOpen && window.matchMedia('(min-width: 768px)').matches) {
+                    this.closeMenu({ restoreFocus: false });
+                }
+            }, CONFIG.RESIZE_DEBOUNCE));
+
+            log('Mobile nav initialized');
+        },
+
+        toggleMenu() {
+            this.isOpen ? this.closeMenu() : this.openMenu();
+        },
+
+        openMenu() {
+            this.isOpen = true;
+            this.nav.classList.add('nav--open');
+            this.toggle.setAttribute('aria-expanded', 'true');
+
+            Dialog.open(this.menu, {
+                include: [this.toggle],
+                returnFocus: this.toggle,
+                onClose: () => this.onClosed()
+            });
+        },
+
+        closeMenu(options) {
+            Dialog.close(this.menu, options);
+        },
+
+        onClosed() {
+            this.isOpen = false;
+            this.nav.classList.remove('nav--open');
+            this.toggle.setAttribute('aria-expanded', 'false');
+        }
+    };
+
+    // ===== ACCORDION (FAQ) =====
+    // Each question is deep-linkable (#faq-question-N opens and scrolls to it, and
+    // toggling rewrites the hash). Containers opt in to data-accordion="single"
+    // and data-accordion-search. FAQPage JSON-LD is rebuilt from the rendered
+    // questions so structured data always matches what visitors read.
+    const Accordion = {
+        items: [],
+        searchInputs: new Map(),
+
+        init() {
+            $$('[data-js="accordion-toggle"]').forEach((btn, idx) => {
+                const content = $('#' + btn.getAttribute('aria-controls'));
+                if (!content) return;
+
+                this.items.push({
+                    btn,
+                    content,
+                    el: btn.closest('.faq-item') || btn.parentNode,
+                    container: btn.closest('[data-accordion], .faq-container')
+                });
+
+                btn.addEventListener('click', () => this.toggle(btn, content));
+
+                btn.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        this.toggle(btn, content);
+                    }
+                });
+            });
+
+            if (this.items.length === 0) return;
+
+            $$('[data-accordion-search]').forEach(container => this.renderSearch(container));
+            this.buildStructuredData();
+
+            this.openFromHash();
+            window.addEventListener('hashchange', () => this.openFromHash());
+
+            log('Accordion initialized');
+        },
+
+        findItem(el) {
+            return this.items.find(item => item.btn === el || item.content === el || item.content.contains(el)) || null;
+        },
+
+        toggle(btn, content) {
+            const item = this.findItem(btn);
+            const isExpanded = btn.getAttribute('aria-expanded') === 'true';
+
+            if (isExpanded) {
+                this.close(item);
+                if (window.location.hash === `#${btn.id}`) this.setHash('');
+            } else {
+                this.open(item);
+                this.setHash(btn.id);
+            }
+        },
+
+        open(item, animate = true) {
+            if (item.btn.getAttribute('aria-expanded') === 'true') return;
+
+            if (item.container && item.container.dataset.accordion === 'single') {
+                this.items
+                    .filter(other => other !== item && other.container === item.container)
+                    .forEach(other => this.close(other));
+            }
+
+            this.setExpanded(item, true, animate);
+            Analytics.trackFAQOpen(item.btn.id, item.btn.textContent.trim());
+        },
+
+        close(item) {
+            if (item.btn.getAttribute('aria-expanded') !== 'true') return;
+            this.setExpanded(item, false, true);
+        },
+
+        // Animates between 0 and the content's natural height; instant with reduced motion
+        setExpanded(item, expanded, animate) {
+            const { btn, content } = item;
+            btn.setAttribute('aria-expanded', String(expanded));
+
+            if (!animate || prefersReducedMotion()) {
+                content.classList.remove('is-animating');
+                content.style.height = '';
+                content.hidden = !expanded;
+                return;
+            }
+
+            const wasAnimating = content.classList.contains('is-animating');
+            const finish = () => {
+                if (btn.getAttribute('aria-expanded') !== String(expanded)) return;
+                content.classList.remove('is-animating');
+                content.style.height = '';
+                content.hidden = !expanded;
+            };
+
+            content.hidden = false;
+            const from = expanded && !wasAnimating ? 0 : content.offsetHeight;
+            const to = expanded ? content.scrollHeight : 0;
+
+            content.style.height = `${from}px`;
+            content.classList.add('is-animating');
+            void content.offsetHeight;
+            content.style.height = `${to}px`;
+
+            content.addEventListener('transitionend', finish, { once: true });
+            setTimeout(finish, 400);
+        },
+
+        setHash(id) {
+            const url = window.location.pathname + window.location.search + (id ? `#${id}` : '');
+            history.replaceState(history.state, '', url);
+        },
+
+        openFromHash() {
+            const id = decodeURIComponent(window.location.hash.slice(1));
+            const target = id && document.getElementById(id);
+            const item = target && this.findItem(target);
+            if (!item) return;
+
+            this.clearSearch(item);
+            this.open(item, false);
+            SmoothScroll.scrollToElement(item.btn);
+        },
+
+        // Used by SmoothScroll for in-page links; returns the toggle to scroll to
+        reveal(target) {
+            const item = this.findItem(target);
+            if (!item) return null;
+
+            this.clearSearch(item);
+            this.open(item);
+            this.setHash(item.btn.id);
+            return item.btn;
+        },
+
+        renderSearch(container) {
+            const id = `faq-search-${uid()}`;
+            const wrapper = document.createElement('div');
+            wrapper.className = 'faq-search';
+            wrapper.innerHTML = `
+                <label class="form-label" for="${id}">${I18n.t('faq.searchLabel')}</label>
+                <input type="search" id="${id}" class="form-input" autocomplete="off" placeholder="${I18n.t('faq.searchPlaceholder')}" aria-describedby="${id}-status">
+                <p class="faq-search__status" id="${id}-status" role="status" aria-live="polite"></p>
+            `;
+            container.parentNode.insertBefore(wrapper, container);
+
+            const input = $('input', wrapper);
+            const status = $('.faq-search__status', wrapper);
+            this.searchInputs.set(container, input);
+
+            input.addEventListener('input', debounce(() => this.filter(container, input.value, status), 150));
+        },
+
+        filter(container, query, status) {
+            const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+            const items = this.items.filter(item => container.contains(item.btn));
+            let matches = 0;
+
+            items.forEach(item => {
+                const text = `${item.btn.textContent} ${item.content.textContent}`.toLowerCase();
+                const isMatch = terms.every(term => text.includes(term));
+                item.el.hidden = !isMatch;
+                if (isMatch) matches++;
+            });
+
+            if (terms.length === 0) {
+                status.textContent = '';
+            } else if (matches === 0) {
+                status.textContent = I18n.t('faq.noResults', { query: query.trim() });
+            } else {
+                status.textContent = I18n.t('faq.results', { matches: matches, count: items.length });
+            }
+        },
+
+        clearSearch(item) {
+            const input = item.container && this.searchInputs.get(item.container);
+            if (!item.el.hidden || !input) return;
+
+            input.value = '';
+            input.dispatchEvent(new Event('input'));
+            this.items.forEach(other => { other.el.hidden = false; });
+        },
+
+        buildStructuredData() {
+            const clean = (text) => text.replace(/\s+/g, ' ').trim();
+            const questions = this.items
+                .map(({ btn, content }) => ({
+                    '@type': 'Question',
+                    name: clean(btn.textContent),
+                    acceptedAnswer: {
+                        '@type': 'Answer',
+                        text: clean(content.textContent)
+                    }
+                }))
+                .filter(question => question.name && question.acceptedAnswer.text);
+
+            if (questions.length === 0) return;
+
+            let script = $('#faq-structured-data');
+            if (!script) {
+                script = document.createElement('script');
+                script.type = 'application/ld+json';
+                script.id = 'faq-structured-data';
+                document.head.appendChild(script);
+            }
 
-        async load() {
-            if (this.isLoaded || this.isLoading) return;
+            script.textContent = JSON.stringify({
+                '@context': 'https://schema.org',
+                '@type': 'FAQPage',
+                mainEntity: questions
+            }, null, 4);
+        }
+    };
 
-            this.isLoading = true;
-            log('Loading Calendly widget...');
-
-            return new Promise((resolve, reject) => {
-                // Check if already loaded
-                if (window.Calendly || $('script[src*="calendly"]')) {
-                    this.isLoaded = true;
-                    this.isLoading = false;
-                    this.initWidget();
-                    resolve();
-                    return;
-                }
+    // ===== SERVICE WORKER (OFFLINE + UPDATES) =====
+    // Registers sw.js after the page has loaded, so it never competes with the
+    // first render. The worker precaches the shell; this side tells it which hero
+    // variant the browser picked, offers a refresh when a new version is waiting
+    // (the worker never takes over an open page by itself) and relays Background
+    // Sync wake-ups to SubmissionQueue. See the header of sw.js for strategies.
+    const OfflineSupport = {
+        registration: null,
+        toast: null,
+        isReloading: false,
+        syncTag: 'submission-queue',
 
-                const script = document.createElement('script');
-                script.src = 'https://assets.calendly.com/assets/external/widget.js';
-                script.async = true;
+        init() {
+            if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
 
-                script.onload = () => {
-                    this.isLoaded = true;
-                    this.isLoading = false;
-                    this.initWidget();
-                    this.setupEventTracking();
-                    log('Calendly loaded successfully');
-                    resolve();
-                };
+            if (!CONFIG.SERVICE_WORKER_URL) {
+                this.unregister();
+                return;
+            }
 
-                script.onerror = () => {
-                    this.isLoading = false;
-                    warn('Failed to load Calendly');
-                    this.fallbackToDirectLink();
-                    reject(new Error('Calendly script failed to load'));
-                };
+            navigator.serviceWorker.addEventListener('message', (e) => {
+                if (e.data && e.data.type === 'FLUSH_QUEUE') SubmissionQueue.flush();
+            });
 
-                document.body.appendChild(script);
+            // Reload only when the visitor asked for the new version, not on the first install
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (!this.isReloading) return;
+                window.location.reload();
             });
+
+            if (document.readyState === 'complete') {
+                this.register();
+            } else {
+                window.addEventListener('load', () => this.register(), { once: true });
+            }
         },
 
-        initWidget() {
-            if (!window.Calendly || !this.embedContainer) return;
+        async register() {
+            try {
+                this.registration = await navigator.serviceWorker.register(CONFIG.SERVICE_WORKER_URL);
+            } catch (error) {
+                warn('Service worker registration failed:', error);
+                return;
+            }
 
-            const url = this.embedContainer.dataset.calendlyUrl || CONFIG.CALENDLY_URL;
-            
+            this.watchUpdates(this.registration);
+            this.cacheHero();
+            log('Service worker registered, scope:', this.registration.scope);
+        },
+
+        // Kill switch: SERVICE_WORKER_URL '' removes a previously installed worker and its caches
+        async unregister() {
             try {
-                window.Calendly.initInlineWidget({
-                    url: url,
-                    parentElement: this.embedContainer,
-                    prefill: {},
-                    utm: {}
-                });
-                log('Calendly widget initialized');
+                const registrations = await navigator.serviceWorker.getRegistrations();
+                await Promise.all(registrations.map(registration => registration.unregister()));
+                if (registrations.length > 0 && window.caches) {
+                    const names = await caches.keys();
+                    await Promise.all(names.filter(name => name.startsWith('armanleads-')).map(name => caches.delete(name)));
+                    log('Service worker removed');
+                }
             } catch (error) {
-                warn('Calendly initialization failed:', error);
-                this.fallbackToDirectLink();
+                warn('Service worker removal failed:', error);
             }
         },
 
-        setupEventTracking() {
-            window.addEventListener('message', (e) => {
-                if (e.origin !== 'https://calendly.com') return;
+        watchUpdates(registration) {
+            // A worker that finished installing on an earlier visit is still waiting
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdate(registration.waiting);
+            }
 
-                try {
-                    const data = typeof e.data === 'string' ? JSON.parse(e.data) : e.data;
-                    
-                    if (data.event === 'calendly.event_scheduled') {
-                        log('Calendly booking completed:', data);
-                        Analytics.trackCalendlyBooking(data);
-                        this.showBookingConfirmation();
-                    }
-                } catch (error) {
-                    // Ignore parse errors from non-Calendly messages
-                }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                if (!worker) return;
+
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) this.showUpdate(worker);
+                });
             });
         },
 
-        showBookingConfirmation() {
-            const liveRegion = $('#live-region') || this.createLiveRegion();
-            liveRegion.textContent = 'Thank you for booking! You will receive a confirmation email shortly.';
-            
-            setTimeout(() => {
-                liveRegion.textContent = '';
-            }, 5000);
-        },
+        // Only the hero variant this device displays is worth ~700KB of cache
+        cacheHero() {
+            const hero = $('.hero-media img');
+            if (!hero) return;
 
-        createLiveRegion() {
-            const region = document.createElement('div');
-            region.id = 'live-region';
-            region.setAttribute('aria-live', 'polite');
-            region.setAttribute('aria-atomic', 'true');
-            region.className = 'sr-only';
-            document.body.appendChild(region);
-            return region;
+            const send = () => {
+                const worker = this.registration.active || this.registration.waiting || this.registration.installing;
+                if (worker && hero.currentSrc) worker.postMessage({ type: 'CACHE_URLS', urls: [hero.currentSrc] });
+            };
+
+            if (hero.complete) {
+                send();
+            } else {
+                hero.addEventListener('load', send, { once: true });
+            }
         },
 
-        scrollToEmbed() {
-            if (!this.embedContainer) return;
+        showUpdate(worker) {
+            if (this.toast) return;
 
-            const navHeight = ($('.site-nav') || { offsetHeight: 0 }).offsetHeight;
-            const targetY = this.embedContainer.offsetTop - navHeight - 20;
+            const toast = document.createElement('div');
+            toast.className = 'update-toast';
+            toast.setAttribute('role', 'status');
 
-            window.scrollTo({
-                top: targetY,
-                behavior: prefersReducedMotion() ? 'auto' : 'smooth'
+            const text = document.createElement('p');
+            text.textContent = I18n.t('update.text');
+
+            const reload = document.createElement('button');
+            reload.type = 'button';
+            reload.className = 'btn btn-primary';
+            reload.textContent = I18n.t('update.reload');
+            reload.addEventListener('click', () => {
+                // The form draft is in sessionStorage and comes back after the reload
+                this.isReloading = true;
+                reload.disabled = true;
+                worker.postMessage({ type: 'SKIP_WAITING' });
+            });
+
+            const dismiss = document.createElement('button');
+            dismiss.type = 'button';
+            dismiss.className = 'btn btn-ghost';
+            dismiss.textContent = I18n.t('update.dismiss');
+            dismiss.addEventListener('click', () => {
+                toast.remove();
             });
+
+            toast.appendChild(text);
+            toast.appendChild(reload);
+            toast.appendChild(dismiss);
+            document.body.appendChild(toast);
+            this.toast = toast;
+            log('New version waiting');
         },
 
-        fallbackToDirectLink() {
-            if (!this.embedContainer) return;
+        // Background Sync wakes an open page to flush as soon as the browser sees a connection
+        requestSync() {
+            if (!this.registration || !this.registration.sync) return;
 
-            const url = this.embedContainer.dataset.calendlyUrl || CONFIG.CALENDLY_URL;
-            const link = document.createElement('a');
-            link.href = url;
-            link.target = '_blank';
-            link.rel = 'noopener noreferrer';
-            link.className = 'btn btn-primary';
-            link.textContent = 'Open Calendly (New Tab)';
-            link.style.marginTop = 'var(--space-4)';
-            
-            this.embedContainer.innerHTML = '';
-            this.embedContainer.appendChild(link);
+            this.registration.sync.register(this.syncTag).catch(error => {
+                log('Background sync unavailable:', error);
+            });
         }
     };
 
-    // ===== STICKY CTA =====
-    const StickyCTA = {
-        element: null,
-        isVisible: false,
-        scrollThreshold: CONFIG.STICKY_CTA_THRESHOLD,
-        rafId: null,
+    // ===== PUBLIC API (window.ArmanLeads) =====
+    // The supported surface for GTM tags and other page scripts; __ArmanLeadsDebug
+    // is for development and may change. Scripts that run before this file can
+    // queue callbacks: (window.ArmanLeads = window.ArmanLeads || []).push(fn).
+    const PublicAPI = {
+        version: '1.0.0',
+        hasWarnedDeferLoad: false,
 
         init() {
-            this.element = $('.sticky-cta');
-            if (!this.element) {
-                log('Sticky CTA element not found');
-                return;
-            }
+            const queued = Array.isArray(window.ArmanLeads) ? window.ArmanLeads : [];
+            const api = Object.freeze({
+                version: this.version,
+                on: (name, fn) => PublicEvents.on(name, fn),
+                off: (name, fn) => PublicEvents.off(name, fn),
+                openBooking: () => this.openBooking(),
+                submitLead: (fields, options) => this.submitLead(fields, options),
+                push: (fn) => this.run(fn, api)
+            });
 
-            // Use passive scroll listener with throttling
-            const checkScroll = throttle(() => {
-                if (this.rafId) return;
-                
-                this.rafId = requestAnimationFrame(() => {
-                    this.update();
-                    this.rafId = null;
-                });
-            }, CONFIG.SCROLL_THROTTLE);
+            window.ArmanLeads = api;
 
-            window.addEventListener('scroll', checkScroll, { passive: true });
-            log('Sticky CTA initialized');
+            // Deprecated: index.html used to define this helper inline
+            window.deferLoadCalendly = () => {
+                if (!this.hasWarnedDeferLoad) {
+                    this.hasWarnedDeferLoad = true;
+                    warn('window.deferLoadCalendly() is deprecated; use ArmanLeads.openBooking()');
+                }
+                CalendlyLoader.load().catch(() => {});
+            };
+
+            queued.forEach(fn => this.run(fn, api));
+            log('Public API ready');
         },
 
-        update() {
-            const scrollY = window.pageYOffset || document.documentElement.scrollTop;
-            const shouldShow = scrollY > this.scrollThreshold;
+        run(fn, api) {
+            if (typeof fn !== 'function') return;
 
-            if (shouldShow && !this.isVisible) {
-                this.show();
-            } else if (!shouldShow && this.isVisible) {
-                this.hide();
+            try {
+                fn(api);
+            } catch (error) {
+                warn('ArmanLeads callback failed:', error);
+                Monitoring.captureError(error, { module: 'api' });
             }
         },
 
-        show() {
-            this.isVisible = true;
-            this.element.classList.add('is-visible');
-            log('Sticky CTA shown');
+        // Loads the booking widget (consent permitting) and brings it into view;
+        // pages without an embed get the booking page in a new tab instead
+        openBooking() {
+            if (!CalendlyLoader.embedContainer) {
+                window.open(CalendlyLoader.getUrl(), '_blank', 'noopener');
+                return;
+            }
+
+            CalendlyLoader.openBooking();
         },
 
-        hide() {
-            this.isVisible = false;
-            this.element.classList.remove('is-visible');
-        }
-    };
+        // Sends a lead collected elsewhere (chat widget, quiz) through the audit form's
+        // pipeline: extra fields, spam checks, retry queue, analytics and form:success.
+        // Resolves to { status: 'sent' | 'queued' | 'dropped' | 'failed', submissionId }
+        // ('simulated' while the debug overlay rehearses a delivery).
+        async submitLead(fields, { formId = 'api-lead' } = {}) {
+            if (!fields || typeof fields !== 'object') {
+                throw new TypeError('ArmanLeads.submitLead() needs an object of form fields');
+            }
+            if (!Validator.isValidEmail(String(fields.email || '').trim())) {
+                throw new TypeError('ArmanLeads.submitLead() needs a valid email');
+            }
 
-    // ===== CTA TRACKING =====
-    const CTATracking = {
-        init() {
-            // Track primary CTA clicks (scroll to form)
-            $$('.cta-primary, a[href="#contact-form"]').forEach(btn => {
-                btn.addEventListener('click', () => {
-                    Analytics.trackCTAClick('Get Free Audit', 'cta-primary');
-                });
+            const form = document.createElement('form');
+            form.id = formId;
+            form.setAttribute('action', (FormHandler.form && FormHandler.form.getAttribute('action')) || CONFIG.FORMSPREE_ENDPOINT);
+
+            const values = { lead_source: 'api', ...fields };
+            Object.keys(values).forEach(name => {
+                const value = values[name];
+                if (value === undefined || value === null) return;
+
+                const input = document.createElement('input');
+                input.type = 'hidden';
+                input.name = name;
+                input.value = Array.isArray(value) ? value.join(', ') : String(value);
+                form.appendChild(input);
             });
 
-            // Secondary CTA tracking is handled in CalendlyLoader
-            log('CTA tracking initialized');
+            SpamGuard.vouch(form);
+            const status = await FormHandler.deliver(form);
+            const submissionId = FormHandler.submissionIds.get(form);
+
+            if (status === 'sent' || status === 'queued') FormHandler.rememberLead(form);
+            if (status === 'sent' || status === 'simulated') Analytics.trackFormSubmit(form.id, 'api', submissionId, status === 'simulated');
+
+            return { status: status, submissionId: submissionId };
         }
     };
 
-    // ===== SMOOTH SCROLL =====
-    const SmoothScroll = {
+    // ===== DEBUG OVERLAY (?debug=1) =====
+    // QA panel for the checklist at the bottom of this file: module init status,
+    // a live analytics feed, simulated delivery / booking outcomes, a sticky CTA
+    // threshold switch and DOM self-checks. ?debug=1 turns it on for the tab
+    // (with DEBUG logging), ?debug=0 turns it off. Developer-only, so English only.
+    const DebugPanel = {
+        storageKey: 'debug',
+        simulateKey: 'debug-simulate',
+        maxEvents: 50,
+        root: null,
+        feed: null,
+        events: [],
+        simulate: {},
+
+        isRequested() {
+            return storage.get(this.storageKey, false, 'session') === true;
+        },
+
+        // Runs before the other modules so the feed and simulations cover page load
         init() {
-            document.addEventListener('click', (e) => {
-                const link = e.target.closest('a[href^="#"]');
-                if (!link) return;
+            if (!this.isRequested()) return;
 
-                const href = link.getAttribute('href');
-                if (href === '#' || href.length <= 1) return;
+            this.simulate = storage.get(this.simulateKey, {}, 'session');
+            Analytics.observe((eventName, params, isSent) => this.recordEvent(eventName, params, isSent));
+            this.wrapDelivery();
+            this.wrapBookingProviders();
+            log('Debug overlay enabled');
+        },
 
-                const target = $(href);
-                if (!target) return;
+        setSimulation(key, value) {
+            this.simulate = { ...this.simulate, [key]: value || null };
+            storage.set(this.simulateKey, this.simulate, 'session');
+            this.note(`Simulation ${key}: ${value || 'off'}`);
+        },
 
-                e.preventDefault();
-                this.scrollToElement(target);
-            });
+        // A simulated success never reaches a destination: the lead is not marked sent,
+        // so the real submission still goes out, and handlers get 'simulated' to keep its
+        // events off the transports. Failures and timeouts go through SubmissionQueue.request
+        // (every destination uses it, retries too) so the error and queue paths run for real.
+        wrapDelivery() {
+            const send = LeadPipeline.send.bind(LeadPipeline);
+            const request = SubmissionQueue.request.bind(SubmissionQueue);
+
+            LeadPipeline.send = (form, lead) => {
+                if (this.simulate.form !== 'success') return send(form, lead);
+
+                this.note(`Simulated success for lead ${lead.id}`);
+                return Promise.resolve('simulated');
+            };
+
+            SubmissionQueue.request = (endpoint, body, headers) => {
+                const mode = this.simulate.form;
+                if (!mode || mode === 'success') return request(endpoint, body, headers);
+
+                this.note(`Simulated ${mode} for POST ${endpoint}`);
+                return new Promise((resolve, reject) => {
+                    const error = new Error(mode === 'timeout' ? 'Simulated timeout' : 'Server responded with 422');
+                    if (mode === 'timeout') {
+                        error.name = 'AbortError';
+                    } else {
+                        error.status = 422;
+                    }
+                    setTimeout(() => reject(error), mode === 'timeout' ? CONFIG.SUBMIT_TIMEOUT : 300);
+                });
+            };
         },
 
-        scrollToElement(el) {
-            const navHeight = ($('.site-nav') || { offsetHeight: 0 }).offsetHeight;
-            const targetY = el.offsetTop - navHeight - 20;
+        wrapBookingProviders() {
+            Object.keys(BookingProviders).forEach(name => {
+                const provider = BookingProviders[name];
+                const load = provider.load;
 
-            window.scrollTo({
-                top: Math.max(0, targetY),
-                behavior: prefersReducedMotion() ? 'auto' : 'smooth'
+                provider.load = (loader) => this.simulate.booking === 'fail'
+                    ? Promise.reject(new Error(`Simulated ${provider.label} script failure`))
+                    : load.call(provider, loader);
             });
+        },
 
-            // Focus management
-            setTimeout(() => {
-                if (!el.hasAttribute('tabindex')) {
-                    el.setAttribute('tabindex', '-1');
-                }
-                el.focus({ preventScroll: true });
-            }, prefersReducedMotion() ? 0 : 500);
-        }
-    };
+        // Called once every module has run init()
+        render(status) {
+            if (!this.isRequested() || this.root) return;
 
-    // ===== MOBILE NAV =====
-    const MobileNav = {
-        toggle: null,
-        nav: null,
-        isOpen: false,
+            const root = document.createElement('aside');
+            root.className = 'debug-panel';
+            root.setAttribute('aria-label', 'ArmanLeads debug');
+            root.innerHTML = `
+                <div class="debug-panel__header">
+                    <strong>ArmanLeads debug</strong>
+                    <button type="button" class="debug-panel__toggle" aria-expanded="true">Hide</button>
+                </div>
+                <div class="debug-panel__body">
+                    <details open>
+                        <summary>Modules</summary>
+                        <ul class="debug-panel__list" data-debug="modules"></ul>
+                    </details>
+                    <details open>
+                        <summary>Self-checks</summary>
+                        <ul class="debug-panel__list" data-debug="checks"></ul>
+                        <button type="button" data-debug-action="checks">Run again</button>
+                    </details>
+                    <details open>
+                        <summary>Simulate</summary>
+                        <label>Form delivery
+                            <select data-debug-simulate="form">
+                                <option value="">Real network</option>
+                                <option value="success">Success (200)</option>
+                                <option value="failure">Failure (422)</option>
+                                <option value="timeout">Timeout</option>
+                            </select>
+                        </label>
+                        <label>Booking script
+                            <select data-debug-simulate="booking">
+                                <option value="">Real script</option>
+                                <option value="fail">Fails to load</option>
+                            </select>
+                        </label>
+                        <button type="button" data-debug-action="load-booking">Load booking widget</button>
+                        <button type="button" data-debug-action="booking-scheduled">Send calendly.event_scheduled</button>
+                    </details>
+                    <details open>
+                        <summary>Sticky CTA</summary>
+                        <label><input type="checkbox" data-debug="sticky-threshold"> Ignore scroll threshold (${CONFIG.STICKY_CTA_THRESHOLD}px)</label>
+                        <button type="button" data-debug-action="sticky-reset">Clear dismissal</button>
+                        <p class="debug-panel__note" data-debug="sticky-state"></p>
+                    </details>
+                    <details open>
+                        <summary>Events</summary>
+                        <button type="button" data-debug-action="clear-events">Clear</button>
+                        <ol class="debug-panel__feed" data-debug="feed" reversed></ol>
+                    </details>
+                </div>
+            `;
 
-        init() {
-            this.toggle = $('[data-js="nav-toggle"]');
-            this.nav = $('#site-nav') || $('.site-nav');
+            this.root = root;
+            this.feed = $('[data-debug="feed"]', root);
+            document.body.appendChild(root);
 
-            if (!this.toggle || !this.nav) return;
+            this.renderStatus(status);
+            this.renderChecks();
+            this.events.forEach(entry => this.renderEvent(entry));
+            this.bindControls();
+        },
 
-            this.toggle.addEventListener('click', () => this.toggleMenu());
+        bindControls() {
+            const root = this.root;
+            const toggle = $('.debug-panel__toggle', root);
+            toggle.addEventListener('click', () => {
+                const isOpen = toggle.getAttribute('aria-expanded') === 'true';
+                toggle.setAttribute('aria-expanded', String(!isOpen));
+                toggle.textContent = isOpen ? 'Show' : 'Hide';
+                root.classList.toggle('is-collapsed', isOpen);
+            });
 
-            document.addEventListener('keydown', (e) => {
-                if (e.key === 'Escape' && this.isOpen) {
-                    this.closeMenu();
+            $$('[data-debug-simulate]', root).forEach(select => {
+                select.value = this.simulate[select.dataset.debugSimulate] || '';
+                select.addEventListener('change', () => this.setSimulation(select.dataset.debugSimulate, select.value));
+            });
+
+            const threshold = $('[data-debug="sticky-threshold"]', root);
+            threshold.addEventListener('change', () => {
+                // update() needs scrollY > threshold, so -1 includes the very top of the page
+                StickyCTA.scrollThreshold = threshold.checked ? -1 : CONFIG.STICKY_CTA_THRESHOLD;
+                StickyCTA.scheduleUpdate();
+                setTimeout(() => this.renderStickyState(), 100);
+            });
+            window.addEventListener('scroll', throttle(() => this.renderStickyState(), 250), { passive: true });
+            this.renderStickyState();
+
+            const actions = {
+                'checks': () => this.renderChecks(),
+                'clear-events': () => {
+                    this.events = [];
+                    this.feed.innerHTML = '';
+                },
+                'load-booking': () => {
+                    if (CalendlyLoader.isLoaded) this.note('Booking widget already loaded; reload the page to simulate a failure');
+                    CalendlyLoader.openBooking();
+                },
+                'booking-scheduled': () => this.simulateBooking(),
+                'sticky-reset': () => {
+                    storage.remove(StickyCTA.dismissKey, 'session');
+                    this.note('Sticky CTA dismissal cleared; reload to see it again');
                 }
+            };
+
+            root.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-debug-action]');
+                if (button && actions[button.dataset.debugAction]) actions[button.dataset.debugAction]();
             });
+        },
 
-            log('Mobile nav initialized');
+        // Same shape Calendly posts from its iframe, parsed by the provider and handled as
+        // simulated, so the booking event stays in the feed and the visitor is not marked converted
+        simulateBooking() {
+            if (CalendlyLoader.providerName !== 'calendly') {
+                this.note(`Provider is ${CalendlyLoader.providerName}; Calendly messages are ignored`);
+                return;
+            }
+
+            const booking = BookingProviders.calendly.parseMessage({
+                origin: BookingProviders.calendly.origin,
+                data: {
+                    event: 'calendly.event_scheduled',
+                    payload: {
+                        event: { uri: 'https://api.calendly.com/scheduled_events/DEBUG' },
+                        invitee: { uri: 'https://api.calendly.com/scheduled_events/DEBUG/invitees/DEBUG' }
+                    }
+                }
+            });
+            CalendlyLoader.handleBooking(booking, true);
         },
 
-        toggleMenu() {
-            this.isOpen ? this.closeMenu() : this.openMenu();
+        renderStatus(status) {
+            const list = $('[data-debug="modules"]', this.root);
+            list.innerHTML = '';
+
+            Object.keys(status).forEach(name => {
+                const entry = status[name];
+                const item = document.createElement('li');
+                item.className = `debug-panel__item debug-panel__item--${entry.ok ? 'pass' : 'fail'}`;
+                item.textContent = entry.ok
+                    ? `${name} - ok (${entry.ms.toFixed(1)} ms)`
+                    : `${name} - failed: ${entry.error}`;
+                list.appendChild(item);
+            });
         },
 
-        openMenu() {
-            this.isOpen = true;
-            this.nav.classList.add('nav--open');
-            this.toggle.setAttribute('aria-expanded', 'true');
-            document.body.style.overflow = 'hidden';
+        renderStickyState() {
+            const state = $('[data-debug="sticky-state"]', this.root);
+            if (!state) return;
+
+            const reasons = [];
+            if (!StickyCTA.element) reasons.push('no .sticky-cta');
+            if (StickyCTA.isDismissed) reasons.push('dismissed this session');
+            if (Funnel.hasConverted()) reasons.push('visitor converted');
+            if (StickyCTA.blockers.size > 0) reasons.push('a data-sticky-hide element is on screen');
+            if (window.pageYOffset <= StickyCTA.scrollThreshold) reasons.push(`scrolled less than ${StickyCTA.scrollThreshold}px`);
+
+            state.textContent = StickyCTA.isVisible
+                ? `Visible: "${StickyCTA.variant.label}" -> ${StickyCTA.variant.target}`
+                : `Hidden: ${reasons.join(', ') || 'waiting for the next scroll'}`;
         },
 
-        closeMenu() {
-            this.isOpen = false;
-            this.nav.classList.remove('nav--open');
-            this.toggle.setAttribute('aria-expanded', 'false');
-            document.body.style.overflow = '';
-            this.toggle.focus();
-        }
-    };
+        // The DOM hooks listed in the header of this file, plus the usual template leftovers
+        selfChecks() {
+            const form = $('#mainForm');
+            const embed = $('#calendly-embed');
+            const sticky = $('.sticky-cta');
+            const action = form ? form.getAttribute('action') || '' : '';
+            const checks = [
+                ['#mainForm exists', Boolean(form)],
+                ['#mainForm has a Formspree action', Boolean(action) && !RuntimeConfig.placeholder.test(action), action || 'missing'],
+                ['#mainForm has the _gotcha honeypot', Boolean(form && form.elements.namedItem('_gotcha'))],
+                ['#mainForm has a submit button', Boolean(form && $('button[type="submit"]', form))],
+                ['#calendly-embed exists', Boolean(embed)],
+                ['Booking URL is set', Boolean(embed) && RuntimeConfig.isUrl(CalendlyLoader.getUrl()), embed ? CalendlyLoader.getUrl() : ''],
+                ['.sticky-cta exists with a link', Boolean(sticky && $('a', sticky))],
+                ['GA_ID is not a placeholder', !RuntimeConfig.placeholder.test(CONFIG.GA_ID), CONFIG.GA_ID]
+            ];
 
-    // ===== ACCORDION (FAQ) =====
-    const Accordion = {
-        init() {
-            $$('[data-js="accordion-toggle"]').forEach((btn, idx) => {
-                const content = $('#' + btn.getAttribute('aria-controls'));
-                if (!content) return;
+            // Every aria-controls must point at an element, or the toggle announces nothing
+            $$('[data-js="accordion-toggle"], [data-js="nav-toggle"]').forEach(toggle => {
+                const id = toggle.getAttribute('aria-controls');
+                const label = toggle.textContent.trim().slice(0, 40) || toggle.dataset.js;
+                checks.push([`aria-controls target for "${label}"`, Boolean(id && document.getElementById(id)), id || 'missing']);
+            });
 
-                btn.addEventListener('click', () => this.toggle(btn, content));
+            const ids = $$('[id]').map(el => el.id);
+            const duplicates = ids.filter((id, index) => ids.indexOf(id) !== index);
+            checks.push(['No duplicate ids', duplicates.length === 0, duplicates.join(', ')]);
 
-                btn.addEventListener('keydown', (e) => {
-                    if (e.key === 'Enter' || e.key === ' ') {
-                        e.preventDefault();
-                        this.toggle(btn, content);
-                    }
-                });
+            return checks.map(([label, pass, detail]) => ({ label: label, pass: pass, detail: detail || '' }));
+        },
+
+        renderChecks() {
+            const results = this.selfChecks();
+            const list = $('[data-debug="checks"]', this.root);
+            list.innerHTML = '';
+
+            results.forEach(result => {
+                const item = document.createElement('li');
+                item.className = `debug-panel__item debug-panel__item--${result.pass ? 'pass' : 'fail'}`;
+                item.textContent = `${result.pass ? 'PASS' : 'FAIL'} ${result.label}${result.detail && !result.pass ? ` (${result.detail})` : ''}`;
+                list.appendChild(item);
             });
 
-            log('Accordion initialized');
+            const failed = results.filter(result => !result.pass);
+            if (failed.length > 0) warn(`${failed.length} self-check(s) failed:`, failed.map(result => result.label));
+            return results;
         },
 
-        toggle(btn, content) {
-            const isExpanded = btn.getAttribute('aria-expanded') === 'true';
+        recordEvent(eventName, params, isSent) {
+            const entry = { time: new Date(), name: eventName, params: params, isSent: isSent };
+            this.events.push(entry);
+            if (this.events.length > this.maxEvents) this.events.shift();
+            if (this.feed) this.renderEvent(entry);
+        },
 
-            if (isExpanded) {
-                btn.setAttribute('aria-expanded', 'false');
-                content.hidden = true;
-            } else {
-                btn.setAttribute('aria-expanded', 'true');
-                content.hidden = false;
+        // Panel-only lines (simulations, hints) share the feed so the sequence reads in order
+        note(text) {
+            this.recordEvent(text, null, null);
+        },
+
+        renderEvent(entry) {
+            const item = document.createElement('li');
+            item.className = 'debug-panel__event';
+
+            const title = document.createElement('div');
+            const status = entry.isSent === null ? 'note'
+                : entry.params.simulated ? 'simulated' : entry.isSent ? 'sent' : 'not sent';
+            title.textContent = `${entry.time.toLocaleTimeString()} ${entry.name} [${status}]`;
+            item.appendChild(title);
+
+            if (entry.params) {
+                const details = document.createElement('details');
+                const summary = document.createElement('summary');
+                summary.textContent = 'payload';
+                const payload = document.createElement('pre');
+                payload.textContent = JSON.stringify(entry.params, null, 2);
+                details.appendChild(summary);
+                details.appendChild(payload);
+                item.appendChild(details);
             }
+
+            this.feed.insertBefore(item, this.feed.firstChild);
+            while (this.feed.children.length > this.maxEvents) this.feed.lastChild.remove();
         }
     };
 
@@ -637,33 +5976,74 @@
             }
         },
 
+        // Init order matters: consent, attribution and variants feed later modules
+        modules() {
+            return {
+                Monitoring,
+                DebugPanel,
+                I18n,
+                Consent,
+                Attribution,
+                Personalization,
+                Experiments,
+                Offer,
+                Funnel,
+                SubmissionQueue,
+                LeadPipeline,
+                FormHandler,
+                FormWizard,
+                ROICalculator,
+                CalendlyLoader,
+                ExitIntent,
+                StickyCTA,
+                CTATracking,
+                EngagementTracker,
+                SmoothScroll,
+                MobileNav,
+                Accordion,
+                OfflineSupport,
+                PublicAPI
+            };
+        },
+
+        // One failing module no longer stops the ones after it
         start() {
-            try {
-                FormHandler.init();
-                CalendlyLoader.init();
-                StickyCTA.init();
-                CTATracking.init();
-                SmoothScroll.init();
-                MobileNav.init();
-                Accordion.init();
-
-                log('App initialized successfully');
-
-                // Expose debug object if DEBUG is enabled
-                if (CONFIG.DEBUG) {
-                    window.__ArmanLeadsDebug = {
-                        version: '1.0.0',
-                        config: CONFIG,
-                        modules: {
-                            FormHandler,
-                            CalendlyLoader,
-                            StickyCTA,
-                            Analytics
-                        }
-                    };
+            const modules = this.modules();
+            const status = {};
+
+            Object.keys(modules).forEach(name => {
+                const startedAt = performance.now();
+
+                try {
+                    modules[name].init();
+                    status[name] = { ok: true, ms: performance.now() - startedAt };
+                } catch (error) {
+                    status[name] = { ok: false, ms: performance.now() - startedAt, error: error.message };
+                    warn(`${name} failed to initialize:`, error);
+                    Monitoring.captureError(error, { module: 'app', init: name });
                 }
-            } catch (error) {
-                warn('Initialization error:', error);
+            });
+
+            log('App initialized:', Object.keys(status).filter(name => !status[name].ok).length, 'module(s) failed');
+            DebugPanel.render(status);
+
+            // Expose debug object if DEBUG is enabled
+            if (CONFIG.DEBUG) {
+                window.__ArmanLeadsDebug = {
+                    version: '1.0.0',
+                    config: CONFIG,
+                    status: status,
+                    selfChecks: () => DebugPanel.selfChecks(),
+                    modules: {
+                        ...modules,
+                        Dialog,
+                        Validator,
+                        SpamGuard,
+                        Analytics,
+                        RuntimeConfig,
+                        PublicEvents
+                    }
+                };
             }
         }
     };
@@ -682,6 +6062,29 @@
  *    [ ] Verify success message appears and form hides
  *    [ ] Test with invalid email format - should show validation error
  *    [ ] Leave required fields empty - should show "required" errors
+ *    [ ] Type one letter in Name and tab away - minlength error shows on blur, clears while typing
+ *    [ ] Website "yourpractice.com" becomes "https://yourpractice.com" on blur; "not a site" errors
+ *    [ ] Email "dr@gmial.com" shows "Did you mean dr@gmail.com?"; clicking it fixes the field
+ *    [ ] Submit with errors - focus lands on the first invalid field
+ *    [ ] Go offline (DevTools > Network > Offline) and submit - "saved" message appears
+ *    [ ] Go back online - queued POST is sent and form_retry (outcome: success) fires
+ *    [ ] Reload with a queued submission - it is retried on page load, never duplicated
+ *    [ ] Submit, reload and submit the same details again - a second POST goes out with a new submission_id
+ *    [ ] Wizard: Next on an incomplete step shows errors and focuses the first one
+ *    [ ] Wizard: Next/Back move focus to the step's first field and update "Step N of 3"
+ *    [ ] Wizard: form_step events fire for view, complete, back and validation_error
+ *    [ ] Disable JavaScript - all wizard steps are visible and post as one form
+ *    [ ] Half-fill the form, reload - values return with a "restored" notice
+ *    [ ] Check sessionStorage - draft never contains the _gotcha honeypot
+ *    [ ] Fill _gotcha via DevTools and submit - thank-you shows but no POST is made
+ *    [ ] Submit within 3s of load via form.requestSubmit() in the console - payload has spam_flags=too_fast,no_interaction
+ *    [ ] Submit 4 times within an hour (clear the form each time) - the 4th carries spam_flags=rate_limited
+ *    [ ] Complete the form with keyboard only - no spam_flags are added
+ *    [ ] Formspree payload keeps the same field names as before (fields, submission_id, first_touch_*, variant...)
+ *    [ ] Add a webhook destination (e.g. a request bin) - it receives the JSON lead with schema_version 1
+ *    [ ] Make the webhook return 500 - the visitor still sees success; form_retry fires with destination=webhook
+ *    [ ] Make the primary return 422 - the error message offers a mailto: link pre-filled with the typed details
+ *    [ ] Submit successfully - draft is cleared from sessionStorage
  * 
  * 2. ANALYTICS EVENTS
  *    [ ] Open DevTools Console with DEBUG=true
@@ -689,23 +6092,79 @@
  *    [ ] Submit form - check for form_submit event log
  *    [ ] Book Calendly appointment - check for calendly_booking event
  *    [ ] If GA4 is installed, verify events in Network tab (gtm/collect)
+ *    [ ] Land with ?utm_source=google&utm_campaign=test - events carry last_touch_* params
+ *    [ ] Submit form - payload includes first_touch_* and last_touch_* fields
+ *    [ ] Reload without UTMs - last touch is kept, not replaced by (direct)
+ *    [ ] Scroll the page - one section_view per section id and scroll_depth at 25/50/75/90/100
+ *    [ ] Switch tabs - section_engagement and page_engagement fire with engaged_ms
+ *    [ ] Open an FAQ item - faq_open fires with the question id and text
+ *    [ ] With DEBUG=true, an event missing from EVENT_SCHEMA logs a warning
+ *    [ ] Enable meta with a pixelId - after marketing consent, form_submit sends fbq Lead with eventID = submission_id
+ *    [ ] Book a call with meta enabled - fbq Schedule fires once even if the booking message repeats
+ *    [ ] Enable beacon with an endpoint - each event POSTs JSON with event_id (check Network tab)
+ *    [ ] Enable plausible (script on page) - events reach Plausible before any consent choice
+ *    [ ] Load, click around, switch tabs - web_vital events for TTFB, FCP, LCP, CLS and INP (once each)
+ *    [ ] Run setTimeout(() => { throw new Error('test') }) in the console - one js_error within 5s
+ *    [ ] Block calendly.com - js_error with error_module "calendly"
+ *    [ ] Set MONITORING_ENDPOINT - after analytics consent, reports arrive as one JSON beacon per batch; none after Reject all
+ *    [ ] Set MONITORING_SAMPLE_RATE to 0 - nothing is observed or sent
+ *    [ ] First visit - consent banner shows; no events reach dataLayer until a choice is made
+ *    [ ] Accept all - buffered events flush and a consent "update" command is pushed
+ *    [ ] Reject all - buffered events are dropped; Consent Mode stays denied after reload
+ *    [ ] Before accepting - armanleads:attribution and armanleads:visitor-id are in sessionStorage only; Accept all moves them to localStorage
+ *    [ ] Footer "Cookie Settings" reopens the banner with the current choices
+ *    [ ] ROI calculator: change an input - results and urgency/pricing figures update live
+ *    [ ] ROI calculator: roi_calculator_use fires once; roi_calculator_update after typing stops
+ *    [ ] Submit after using the calculator - payload includes roi_* fields
+ *    [ ] Open ?city=omaha&niche=chiropractor - placeholders, title and JSON-LD areaServed change
+ *    [ ] Open ?city=nowhere - page falls back to the default city with a console warning
+ *    [ ] Events and form submissions carry page_city, page_niche and page_variant
+ *    [ ] Reload several times - the hero title and CTA keep the same variant (sticky per visitor)
+ *    [ ] Open ?exp=hero_headline:empty_chairs - variant shows with no flash of the original title
+ *    [ ] experiment_impression fires per experiment; events and submissions carry experiment_variants
+ *    [ ] Open ?exp=reset - forced variants are cleared and the hashed assignment returns
+ *    [ ] Scarcity shows "X of 5 spots left" from #offer-config; countdown ticks every second
+ *    [ ] Countdown deadline shows in the visitor's time zone (change the OS zone and reload)
+ *    [ ] Set endsAt in the past or slotsTaken = totalSlots - sale banner switches to the closed copy
+ *    [ ] Remove totalSlots - no "spots left" line; the offer stays active until endsAt
+ *    [ ] Set whenEnded to "hide" - #sale disappears once the offer ends
+ *    [ ] Submit the form - payload includes offer_id, offer_state and slots_left
  * 
  * 3. CALENDLY INTEGRATION
  *    [ ] Scroll to "Book a Call" section - widget should lazy-load
+ *    [ ] Without marketing consent - embed shows "Load Calendar"; clicking it grants and loads
  *    [ ] Click "Book a Call" button - should scroll to Calendly embed
  *    [ ] If Calendly script fails, should show fallback link
  *    [ ] Complete a test booking - verify confirmation message
+ *    [ ] Submit the form first - Calendly opens with name, email and practice prefilled
+ *    [ ] Click "Book your review call now" after submitting - embed loads and scrolls into view
+ *    [ ] Submit and book in one session - a single funnel_complete event fires
+ *    [ ] Set data-booking-provider="calcom" + data-booking-url - Cal.com inline embed loads
+ *    [ ] Set data-booking-provider="link" - a "Pick a Time" button replaces the embed
  * 
  * 4. STICKY CTA
  *    [ ] Scroll down 400px+ - sticky CTA should fade in
  *    [ ] Scroll back up - sticky CTA should fade out
  *    [ ] Click sticky CTA - should scroll smoothly to form
+ *    [ ] Middle of #benefits - label reads "See Pricing" and jumps to #pricing
+ *    [ ] Middle of #sale - "Claim 50% Off" while the offer runs, default label once it ends
+ *    [ ] Form or booking widget on screen - sticky CTA hides; returns once scrolled away
+ *    [ ] Submit the form or book - sticky CTA stays hidden (this visit and later ones)
+ *    [ ] Click the dismiss (x) - hidden for the rest of the session, sticky_cta_dismiss fires
+ *    [ ] sticky_cta_impression fires once per label/target shown
  *    [ ] Test on mobile - sticky CTA should be full-width at bottom
  * 
  * 5. ACCESSIBILITY (FOCUS TRAP)
  *    [ ] Open mobile menu - press Tab, focus should cycle within menu
  *    [ ] Press Escape - menu should close and focus returns to toggle
+ *    [ ] With the menu open, the rest of the page is inert (screen reader cannot reach it)
+ *    [ ] Click outside the open menu - it closes; clicking a menu link closes it and scrolls
+ *    [ ] Open a Dialog.create() modal on top of the menu - Escape closes only the top one
  *    [ ] Expand FAQ accordion - press Tab, verify focus moves to content
+ *    [ ] Open /#faq-question-3 - page scrolls to that question and it is expanded
+ *    [ ] Toggle a question - the URL hash follows; closing it removes the hash
+ *    [ ] Type in the FAQ search - non-matching questions hide; gibberish shows the no-results note
+ *    [ ] View source vs. DOM - #faq-structured-data FAQPage lists every visible question and answer
  *    [ ] Submit form with errors - focus should move to first error
  * 
  * 6. MOBILE NAVIGATION
@@ -713,6 +6172,7 @@
  *    [ ] Click hamburger menu - menu should slide in
  *    [ ] Press Escape - menu should close
  *    [ ] Verify body scroll is locked when menu is open
+ *    [ ] Open the menu, widen the window past 768px - menu closes and scroll unlocks
  * 
  * 7. GRACEFUL DEGRADATION
  *    [ ] Disable JavaScript - form should still submit via default POST
@@ -723,4 +6183,56 @@
  *    [ ] Check Network tab - Calendly should load only on scroll/click
  *    [ ] Scroll rapidly - sticky CTA should not cause jank (use RAF)
  *    [ ] Resize window - debounced, no excessive recalculations
+ * 
+ * 9. CONFIG + PUBLIC API
+ *    [ ] Leave G-XXXXXXX in place - console warns about GA_ID and the gtag.js snippet
+ *    [ ] Set "STICKY_CTA_THRESHOLD": 800 in #armanleads-config - sticky CTA appears later
+ *    [ ] Add data-config-debug to <html> - [ArmanLeads] logs appear without editing script.js
+ *    [ ] Set "SPAM_ACTION": "block" or a non-numeric threshold - warning, default kept
+ *    [ ] ArmanLeads.on('form:success', console.log) then submit - fires once with formId and submissionId
+ *    [ ] ArmanLeads.on('cta:click', ...) / ('booking:scheduled', ...) - fire with label/location and provider
+ *    [ ] ArmanLeads.openBooking() - embed loads (consent permitting) and scrolls into view
+ *    [ ] ArmanLeads.submitLead({ email: 'a@b.co', name: 'Test' }) - POST made, resolves { status: 'sent' }
+ *    [ ] Push a callback to window.ArmanLeads before script.js loads - it runs once the API is ready
+ *    [ ] window.deferLoadCalendly() still loads the widget and warns once that it is deprecated
+ * 
+ * 10. LANGUAGES (I18N + RTL)
+ *    [ ] Open ?lang=ar - <html> gets lang="ar" dir="rtl"; consent banner, form errors and messages are Arabic
+ *    [ ] Open ?lang=ckb - Sorani text; reload without ?lang keeps the choice
+ *    [ ] Pick a language in the nav switcher - page reloads in it, a half-filled form is restored
+ *    [ ] RTL: sticky CTA sits bottom-left with a mirrored arrow; nav logo on the right, toggle on the left
+ *    [ ] RTL: email and website fields stay left-to-right while typing
+ *    [ ] ar: pricing, ROI and countdown figures use the locale's digits and currency format
+ *    [ ] ar: "X of 5 spots left" uses the right plural; wizard shows "الخطوة ١ من ٣"
+ *    [ ] Submit in ar - payload and every event carry language / page_language = ar
+ *    [ ] ?lang=fr - falls back to <html lang> (English), no console errors
+ * 
+ * 11. OFFLINE (SERVICE WORKER, https or localhost only)
+ *    [ ] First visit - Application > Service Workers shows sw.js activated; Cache Storage has the shell + one hero
+ *    [ ] Reload with Network > Offline - page, styles and hero still load; no console errors
+ *    [ ] Offline: scroll to the booking section - offline message and audit form link instead of Calendly
+ *    [ ] Go back online - the calendar loads in place without a reload
+ *    [ ] Offline: submit the form - "saved" message; back online the queued POST is sent once
+ *    [ ] Slow 3G: repeat visit paints from cache; the page refreshes its cached copy in the background
+ *    [ ] Bump CACHE_VERSION, deploy, revisit - "new version" toast; Refresh reloads once, old caches gone
+ *    [ ] Set "SERVICE_WORKER_URL": "" - worker and armanleads-* caches are removed on the next load
+ * 
+ * 12. QA OVERLAY (?debug=1, stays on for the tab until ?debug=0)
+ *    [ ] Modules list is all "ok"; throw in one init() - only that module fails, the rest still run
+ *    [ ] Self-checks all PASS on the live page (GA_ID fails until the real ID is set)
+ *    [ ] Events feed shows page load events; click a CTA - cta_click appears with its payload
+ *    [ ] Form delivery "Success" - thank-you without a network POST; form_submit is [simulated], GA4/Meta get nothing
+ *    [ ] Form delivery "Failure (422)" - error message with the prefilled mailto link
+ *    [ ] Form delivery "Timeout" - after SUBMIT_TIMEOUT the "saved" message shows and form_retry (queued) fires
+ *    [ ] Booking script "Fails to load", then Load booking widget - the new-tab link replaces the embed
+ *    [ ] Send calendly.event_scheduled - calendly_booking shows [simulated]; confirmation announced, exit intent still shows
+ *    [ ] Ignore scroll threshold - sticky CTA shows at the top of the page (unless a blocker is on screen)
+ * 
+ * 13. EXIT INTENT
+ *    [ ] After 10s, move the cursor out through the top - email modal opens once
+ *    [ ] Stay idle 45s - modal opens (trigger "idle"); not again for 7 days
+ *    [ ] Mobile: flick-scroll up fast or press Back - modal opens; Back again leaves
+ *    [ ] Invalid email shows the same error as the main form; valid email posts to Formspree
+ *    [ ] Never shows after submitting or booking (also on later visits)
+ *    [ ] exit_intent_impression, exit_intent_dismiss and exit_intent_convert carry the trigger
  */
\ No newline at end of file
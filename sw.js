@@ -0,0 +1,159 @@
+/*
+ * ArmanLeads Service Worker
+ *
+ * Makes repeat visits instant and lets the page open on a flaky or dropped
+ * connection (prospects often arrive from email/SMS links on mobile data).
+ *
+ * STRATEGIES:
+ * - Page (navigations), style.css and script.js: network first, cached copy after
+ *   NETWORK_TIMEOUT or offline, so a freshly deployed page never runs an older script
+ * - Other same-origin assets (images, fonts): stale-while-revalidate
+ * - Everything else (Calendly, GTM, Formspree, POSTs): straight to the network, untouched
+ *
+ * PRECACHE: index.html, style.css and script.js on install. The hero has four
+ * ~700KB variants, so only the one this device actually picked (img.currentSrc)
+ * is cached, when script.js sends it in a CACHE_URLS message.
+ *
+ * DEPLOYING: bump CACHE_VERSION whenever any precached file changes. The new
+ * worker installs next to the old one and waits; script.js shows a "new version"
+ * toast and sends SKIP_WAITING when the visitor accepts, then reloads once.
+ * Old caches are deleted on activate.
+ *
+ * FORM RETRIES: queued submissions live in the page's localStorage, which a
+ * worker cannot read. A Background Sync ("submission-queue") just asks open
+ * pages to flush; otherwise the page flushes on load and on the online event.
+ */
+'use strict';
+
+const CACHE_VERSION = 'v1';
+const CACHE_PREFIX = 'armanleads-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`;
+const ASSET_CACHE = `${CACHE_PREFIX}assets-${CACHE_VERSION}`;
+const SHELL_URLS = ['./', 'style.css', 'script.js'];
+const NETWORK_TIMEOUT = 4000; // ms before a slow page request falls back to the cached copy
+const MAX_ASSET_ENTRIES = 40; // oldest runtime-cached assets are evicted beyond this
+const SYNC_TAG = 'submission-queue';
+
+// cache: 'reload' skips the HTTP cache so a new version never precaches stale files
+const precache = (cacheName, urls) => caches.open(cacheName).then(cache =>
+    cache.addAll(urls.map(url => new Request(url, { cache: 'reload' }))));
+
+const isSameOrigin = (url) => new URL(url, self.location.href).origin === self.location.origin;
+
+const trimCache = async (cacheName, maxEntries) => {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+};
+
+// Only complete, same-origin responses are worth keeping (no opaque or partial ones)
+const isCacheable = (response) => response && response.status === 200 && response.type === 'basic';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precache(SHELL_CACHE, SHELL_URLS).then(() => {
+        // Nothing to replace on a first install; updates wait for the visitor (SKIP_WAITING)
+        if (!self.registration.active) return self.skipWaiting();
+    }));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== SHELL_CACHE && name !== ASSET_CACHE)
+            .map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', (event) => {
+    const data = event.data || {};
+
+    if (data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    } else if (data.type === 'CACHE_URLS' && Array.isArray(data.urls)) {
+        const urls = data.urls.filter(url => typeof url === 'string' && url && isSameOrigin(url));
+        event.waitUntil(precache(SHELL_CACHE, urls).catch(() => {
+            // Best effort: the asset is still cached on its next request
+        }));
+    }
+});
+
+self.addEventListener('sync', (event) => {
+    if (event.tag !== SYNC_TAG) return;
+
+    event.waitUntil(self.clients.matchAll({ type: 'window' }).then(clients => {
+        clients.forEach(client => client.postMessage({ type: 'FLUSH_QUEUE' }));
+    }));
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || !isSameOrigin(request.url)) return;
+
+    if (request.mode === 'navigate' || isShellAsset(request.url)) {
+        event.respondWith(networkFirst(event));
+    } else if (['style', 'script', 'image', 'font'].includes(request.destination)) {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
+
+// The landing page is cached once, whatever its query string (utm_*, ?lang=, ?city=)
+const isLandingPage = (url) => {
+    const path = new URL(url).pathname;
+    const scopePath = new URL(self.registration.scope).pathname;
+    return path === scopePath || path === `${scopePath}index.html`;
+};
+
+// Served like the page itself, so page and shell assets always come from the same deploy
+const isShellAsset = (url) => {
+    const path = new URL(url).pathname;
+    const scopePath = new URL(self.registration.scope).pathname;
+    return path === `${scopePath}style.css` || path === `${scopePath}script.js`;
+};
+
+async function networkFirst(event) {
+    const request = event.request;
+    const cache = await caches.open(SHELL_CACHE);
+    const cacheKey = isLandingPage(request.url) ? './' : request;
+
+    const network = fetch(request).then(response => {
+        if (isCacheable(response)) cache.put(cacheKey, response.clone());
+        return response;
+    });
+    event.waitUntil(network.catch(() => {}));
+
+    const timeout = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT));
+
+    try {
+        const response = await Promise.race([network, timeout]);
+        if (response) return response;
+    } catch (error) {
+        // Offline: fall through to the cached page
+    }
+
+    const cached = await cache.match(cacheKey);
+    return cached || network;
+}
+
+// Images sent in CACHE_URLS are refreshed in the shell cache, so a newer copy wins next time
+async function staleWhileRevalidate(event) {
+    const request = event.request;
+    const shell = await caches.open(SHELL_CACHE);
+    const assets = await caches.open(ASSET_CACHE);
+    const shellCopy = await shell.match(request);
+    const cached = shellCopy || await assets.match(request);
+
+    const network = fetch(request).then(async response => {
+        if (isCacheable(response)) {
+            await (shellCopy ? shell : assets).put(request, response.clone());
+            if (!shellCopy) await trimCache(ASSET_CACHE, MAX_ASSET_ENTRIES);
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+
+    return network;
+}